@@ -0,0 +1,199 @@
+/**
+ * Benchmarks `ColorTracker.track` on synthetic frames holding blobs of the
+ * tracked colors over a noisy background, reporting the time per frame and
+ * the garbage collections run while tracking. The single-pass labeling is
+ * compared with a baseline flood filling each color in a separate pass,
+ * with buffers allocated for each color on each frame.
+ *
+ * Usage: node benchmarks/ColorTracker.js [width] [height] [frames]
+ */
+const { PerformanceObserver, performance } = require('perf_hooks');
+const tracking = require('../');
+
+const width = parseInt(process.argv[2], 10) || 640;
+const height = parseInt(process.argv[3], 10) || 480;
+const frames = parseInt(process.argv[4], 10) || 100;
+const colors = ['magenta', 'cyan', 'yellow'];
+const palette = [[255, 0, 255], [0, 255, 255], [255, 255, 0]];
+
+/**
+ * Creates a frame with a few blobs of each color, moving by `shift` pixels.
+ * @param {number} shift
+ * @return {Uint8ClampedArray}
+ */
+function createFrame(shift) {
+  let pixels = new Uint8ClampedArray(width * height * 4);
+  let seed = 7;
+  for (let w = 0; w < pixels.length; w += 4) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    pixels[w] = pixels[w + 1] = pixels[w + 2] = seed % 128;
+    pixels[w + 3] = 255;
+  }
+  for (let b = 0; b < 12; b++) {
+    const color = palette[b % palette.length];
+    const size = 20 + (b * 7) % 40;
+    const x0 = (b * 97 + shift) % (width - size);
+    const y0 = (b * 53) % (height - size);
+    for (let y = y0; y < y0 + size; y++) {
+      for (let x = x0; x < x0 + size; x++) {
+        const w = (y * width + x) * 4;
+        pixels[w] = color[0];
+        pixels[w + 1] = color[1];
+        pixels[w + 2] = color[2];
+      }
+    }
+  }
+  return pixels;
+}
+
+const neighboursI = new Int32Array([-1, -1, 0, 1, 1, 1, 0, -1]);
+const neighboursJ = new Int32Array([0, 1, 1, 1, 0, -1, -1, -1]);
+
+/**
+ * Tracks the colors one at a time, each in its own pass over the pixels
+ * with its own buffers, as `ColorTracker` did before the single-pass
+ * labeling.
+ */
+class PerColorTracker extends tracking.ColorTracker {
+  /**
+   * Finds the given colors with a flood fill over the whole frame each.
+   * @param {Uint8ClampedArray} pixels
+   * @param {number} width
+   * @param {number} height
+   * @param {Array.<string>} colors
+   * @return {Array.<object>}
+   */
+  trackColors_(pixels, width, height, colors) {
+    let results = [];
+    for (const color of colors) {
+      results = results.concat(this.trackColor_(pixels, width, height, color));
+    }
+    return results;
+  }
+
+  /**
+   * Finds one color, allocating the buffers of the flood fill.
+   * @param {Uint8ClampedArray} pixels
+   * @param {number} width
+   * @param {number} height
+   * @param {string} color
+   * @return {Array.<object>}
+   */
+  trackColor_(pixels, width, height, color) {
+    const colorFn = tracking.ColorTracker.getColor(color);
+    const minGroupSize = this.getColorParameter_(color, 'minGroupSize');
+    const neighboursW = this.getNeighboursForWidth_(width);
+    let currGroup = new Int32Array(pixels.length >> 2);
+    let marked = new Int8Array(pixels.length);
+    let queue = new Int32Array(pixels.length);
+    let results = [];
+    let w = -4;
+
+    for (let i = 0; i < height; i++) {
+      for (let j = 0; j < width; j++) {
+        w += 4;
+        if (marked[w]) {
+          continue;
+        }
+
+        let currGroupSize = 0;
+        let queuePosition = -1;
+        queue[++queuePosition] = w;
+        queue[++queuePosition] = i;
+        queue[++queuePosition] = j;
+        marked[w] = 1;
+
+        while (queuePosition >= 0) {
+          const currJ = queue[queuePosition--];
+          const currI = queue[queuePosition--];
+          const currW = queue[queuePosition--];
+          if (!colorFn(pixels[currW], pixels[currW + 1], pixels[currW + 2], pixels[currW + 3], currW, currI, currJ)) {
+            continue;
+          }
+
+          currGroup[currGroupSize++] = currJ;
+          currGroup[currGroupSize++] = currI;
+          for (let k = 0; k < neighboursW.length; k++) {
+            const otherW = currW + neighboursW[k];
+            const otherI = currI + neighboursI[k];
+            const otherJ = currJ + neighboursJ[k];
+            if (!marked[otherW] && otherI >= 0 && otherI < height && otherJ >= 0 && otherJ < width) {
+              queue[++queuePosition] = otherW;
+              queue[++queuePosition] = otherI;
+              queue[++queuePosition] = otherJ;
+              marked[otherW] = 1;
+            }
+          }
+        }
+
+        if (currGroupSize >= minGroupSize) {
+          let data = this.calculateDimensions_(currGroup, currGroupSize);
+          if (data) {
+            data.color = color;
+            results.push(data);
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+const inputs = [createFrame(0), createFrame(5), createFrame(10)];
+
+/**
+ * Measures the tracking of the frames, reporting the time per frame and the
+ * garbage collections once they are all observed.
+ * @param {tracking.ColorTracker} tracker
+ * @param {function(number, number, number)} callback Called with the time
+ *     per frame, the number of garbage collections and their total time.
+ */
+function measure(tracker, callback) {
+  let collections = 0;
+  let collectionTime = 0;
+  const observer = new PerformanceObserver(function(list) {
+    list.getEntries().forEach(function(entry) {
+      collections++;
+      collectionTime += entry.duration;
+    });
+  });
+
+  // Warms up the compiled code before measuring.
+  for (let i = 0; i < 10; i++) {
+    tracker.track(inputs[i % inputs.length], width, height);
+  }
+
+  observer.observe({ entryTypes: ['gc'] });
+  const start = performance.now();
+  for (let i = 0; i < frames; i++) {
+    tracker.track(inputs[i % inputs.length], width, height);
+  }
+  const elapsed = performance.now() - start;
+
+  setTimeout(function() {
+    observer.disconnect();
+    callback(elapsed / frames, collections, collectionTime);
+  }, 100);
+}
+
+/**
+ * Prints the measures of a tracker.
+ * @param {string} name
+ * @param {number} frameTime
+ * @param {number} collections
+ * @param {number} collectionTime
+ */
+function report(name, frameTime, collections, collectionTime) {
+  console.log('  ' + (name + ':').padEnd(13) + frameTime.toFixed(2) + ' ms/frame, ' + collections +
+    ' garbage collections, ' + collectionTime.toFixed(1) + ' ms');
+}
+
+console.log(width + 'x' + height + ', ' + colors.length + ' colors, ' + frames + ' frames');
+measure(new PerColorTracker(colors), function(baselineTime, baselineCollections, baselineCollectionTime) {
+  report('per color', baselineTime, baselineCollections, baselineCollectionTime);
+  measure(new tracking.ColorTracker(colors), function(frameTime, collections, collectionTime) {
+    report('single pass', frameTime, collections, collectionTime);
+    console.log('  speedup:     ' + (baselineTime / frameTime).toFixed(2) + 'x');
+  });
+});
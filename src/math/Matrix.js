@@ -30,4 +30,42 @@ Matrix.forEach = function(pixels, width, height, fn, opt_jump) {
   }
 };
 
+/**
+ * Computes the determinant of a 3x3 matrix.
+ * @param {Array.<number>} m The matrix in a linear major-row order array.
+ * @return {number} The determinant.
+ * @static
+ */
+Matrix.determinant3 = function(m) {
+  return m[0] * (m[4] * m[8] - m[5] * m[7]) -
+    m[1] * (m[3] * m[8] - m[5] * m[6]) +
+    m[2] * (m[3] * m[7] - m[4] * m[6]);
+};
+
+/**
+ * Inverts a 3x3 matrix.
+ * @param {Array.<number>} m The matrix in a linear major-row order array.
+ * @return {Float64Array} The inverse matrix in a linear major-row order
+ *     array.
+ * @static
+ */
+Matrix.invert3 = function(m) {
+  const det = this.determinant3(m);
+  if (!det) {
+    throw new Error('Matrix not invertible.');
+  }
+  const inv = 1 / det;
+  return new Float64Array([
+    (m[4] * m[8] - m[5] * m[7]) * inv,
+    (m[2] * m[7] - m[1] * m[8]) * inv,
+    (m[1] * m[5] - m[2] * m[4]) * inv,
+    (m[5] * m[6] - m[3] * m[8]) * inv,
+    (m[0] * m[8] - m[2] * m[6]) * inv,
+    (m[2] * m[3] - m[0] * m[5]) * inv,
+    (m[3] * m[7] - m[4] * m[6]) * inv,
+    (m[1] * m[6] - m[0] * m[7]) * inv,
+    (m[0] * m[4] - m[1] * m[3]) * inv
+  ]);
+};
+
 module.exports = Matrix;
@@ -17,7 +17,7 @@ TrackingMath.distance = function(x0, y0, x1, y1) {
   const dx = x1 - x0;
   const dy = y1 - y0;
 
-  return TrackingMath.sqrt(dx * dx + dy * dy);
+  return Math.sqrt(dx * dx + dy * dy);
 };
 
 /**
@@ -78,4 +78,61 @@ TrackingMath.intersectRect = function(x0, y0, x1, y1, x2, y2, x3, y3) {
   return !(x2 > x1 || x3 < x0 || y2 > y1 || y3 < y0);
 };
 
+/**
+ * Computes the intersection over union (IoU), also known as the Jaccard
+ * index, of two rectangles.
+ * @param {{x: number, y: number, width: number, height: number}} r1
+ * @param {{x: number, y: number, width: number, height: number}} r2
+ * @return {number} The IoU, from 0 for disjoint rectangles to 1 for equal
+ *     ones.
+ */
+TrackingMath.intersectionOverUnion = function(r1, r2) {
+  const width = Math.min(r1.x + r1.width, r2.x + r2.width) - Math.max(r1.x, r2.x);
+  const height = Math.min(r1.y + r1.height, r2.y + r2.height) - Math.max(r1.y, r2.y);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  const intersection = width * height;
+  return intersection / (r1.width * r1.height + r2.width * r2.height - intersection);
+};
+
+/**
+ * Computes the convex hull of a set of points using the monotone chain
+ * algorithm.
+ * @param {Array.<{x: number, y: number}>} points
+ * @return {Array.<{x: number, y: number}>} The hull points in clockwise
+ *     order in image coordinates, i.e. with the y axis pointing down.
+ */
+TrackingMath.convexHull = function(points) {
+  if (points.length < 3) {
+    return points.slice();
+  }
+
+  const sorted = points.slice().sort(function(a, b) {
+    return a.x - b.x || a.y - b.y;
+  });
+  const cross = function(o, a, b) {
+    return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  };
+
+  let lower = [];
+  for (let i = 0; i < sorted.length; i++) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], sorted[i]) <= 0) {
+      lower.pop();
+    }
+    lower.push(sorted[i]);
+  }
+  let upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], sorted[i]) <= 0) {
+      upper.pop();
+    }
+    upper.push(sorted[i]);
+  }
+
+  lower.pop();
+  upper.pop();
+  return lower.concat(upper);
+};
+
 module.exports = TrackingMath;
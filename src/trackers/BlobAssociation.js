@@ -0,0 +1,216 @@
+const TrackingMath = require('../math').TrackingMath;
+
+/**
+ * BlobAssociation utility to assign stable ids to tracked blobs across
+ * frames. The blobs of a frame are greedily matched to the ones of the
+ * previous frames, by intersection over union or by centroid distance. A
+ * blob that is not matched is kept for `gracePeriod` frames, so it keeps its
+ * id if it is re-acquired meanwhile.
+ * @constructor
+ * @param {object} opt_options Optional configuration: `metric`, 'iou' or
+ *     'distance', defaults to 'iou'; `minIoU`, the minimum intersection over
+ *     union to match, defaults to 0.1; `maxDistance`, the maximum centroid
+ *     distance to match, defaults to 50; `gracePeriod`, the number of frames
+ *     a lost blob is kept, defaults to 5; `sameColor`, whether only blobs
+ *     of the same color match, defaults to true.
+ */
+let BlobAssociation = function(opt_options) {
+  const options = opt_options || {};
+  this.metric = options.metric || 'iou';
+  this.minIoU = options.minIoU === undefined ? 0.1 : options.minIoU;
+  this.maxDistance = options.maxDistance === undefined ? 50 : options.maxDistance;
+  this.gracePeriod = options.gracePeriod === undefined ? 5 : options.gracePeriod;
+  this.sameColor = options.sameColor === undefined ? true : options.sameColor;
+
+  if (this.metric !== 'iou' && this.metric !== 'distance') {
+    throw new Error('Association metric not valid, try "iou" or "distance".');
+  }
+
+  this.reset();
+};
+
+/**
+ * Gets the center of a blob, its centroid if known.
+ * @param {object} blob
+ * @return {{x: number, y: number}}
+ * @private
+ * @static
+ */
+BlobAssociation.getCenter_ = function(blob) {
+  return blob.centroid || {
+    x: blob.x + blob.width / 2,
+    y: blob.y + blob.height / 2
+  };
+};
+
+/**
+ * Copies the geometry used to match a blob, so later changes of the blob,
+ * e.g. by `Scale.rescale`, do not affect the matching.
+ * @param {object} blob
+ * @return {object}
+ * @private
+ * @static
+ */
+BlobAssociation.copy_ = function(blob) {
+  return {
+    x: blob.x,
+    y: blob.y,
+    width: blob.width,
+    height: blob.height,
+    color: blob.color,
+    centroid: blob.centroid && {
+      x: blob.centroid.x,
+      y: blob.centroid.y
+    }
+  };
+};
+
+/**
+ * Holds the metric used to match the blobs, 'iou' or 'distance'.
+ * @type {string}
+ */
+BlobAssociation.prototype.metric = 'iou';
+
+/**
+ * Holds the minimum intersection over union to match two blobs.
+ * @type {number}
+ */
+BlobAssociation.prototype.minIoU = 0.1;
+
+/**
+ * Holds the maximum centroid distance to match two blobs.
+ * @type {number}
+ */
+BlobAssociation.prototype.maxDistance = 50;
+
+/**
+ * Holds the number of frames a lost blob is kept.
+ * @type {number}
+ */
+BlobAssociation.prototype.gracePeriod = 5;
+
+/**
+ * Holds whether only blobs of the same color match.
+ * @type {boolean}
+ */
+BlobAssociation.prototype.sameColor = true;
+
+/**
+ * Holds the known blobs as `{id, blob, last, lost}` entries, `blob` being
+ * the geometry to match, `last` the blob last matched and `lost` the number
+ * of frames since then.
+ * @type {Array.<object>}
+ * @private
+ */
+BlobAssociation.prototype.tracks_ = null;
+
+/**
+ * Holds the next id to assign.
+ * @type {number}
+ * @private
+ */
+BlobAssociation.prototype.nextId_ = 1;
+
+/**
+ * Computes the cost of matching a known blob to a new one.
+ * @param {object} previous The known blob.
+ * @param {object} blob The new blob.
+ * @return {number} The cost, lower is better, or Infinity if they cannot
+ *     match.
+ * @private
+ */
+BlobAssociation.prototype.getCost_ = function(previous, blob) {
+  if (this.sameColor && previous.color !== blob.color) {
+    return Infinity;
+  }
+
+  if (this.metric === 'iou') {
+    const iou = TrackingMath.intersectionOverUnion(previous, blob);
+    return iou >= this.minIoU && iou > 0 ? 1 - iou : Infinity;
+  }
+
+  const p = BlobAssociation.getCenter_(previous);
+  const c = BlobAssociation.getCenter_(blob);
+  const distance = TrackingMath.distance(p.x, p.y, c.x, c.y);
+  return distance <= this.maxDistance ? distance : Infinity;
+};
+
+/**
+ * Forgets all the known blobs and restarts the ids.
+ */
+BlobAssociation.prototype.reset = function() {
+  this.tracks_ = [];
+  this.nextId_ = 1;
+};
+
+/**
+ * Assigns the `id` of the blobs of a new frame.
+ * @param {Array.<object>} blobs The blobs of the frame, updated in place.
+ * @return {{entered: Array.<object>, exited: Array.<object>}} The blobs
+ *     that entered the frame, and the last known state of the ones that
+ *     exited after their grace period.
+ */
+BlobAssociation.prototype.update = function(blobs) {
+  let pairs = [];
+  this.tracks_.forEach((track, t) => {
+    blobs.forEach((blob, b) => {
+      const cost = this.getCost_(track.blob, blob);
+      if (cost !== Infinity) {
+        pairs.push({ t, b, cost });
+      }
+    });
+  });
+  pairs.sort(function(p1, p2) {
+    return p1.cost - p2.cost;
+  });
+
+  let matchedTracks = new Uint8Array(this.tracks_.length);
+  let matchedBlobs = new Uint8Array(blobs.length);
+  pairs.forEach((pair) => {
+    if (matchedTracks[pair.t] || matchedBlobs[pair.b]) {
+      return;
+    }
+    matchedTracks[pair.t] = 1;
+    matchedBlobs[pair.b] = 1;
+    const track = this.tracks_[pair.t];
+    track.blob = BlobAssociation.copy_(blobs[pair.b]);
+    track.last = blobs[pair.b];
+    track.lost = 0;
+    blobs[pair.b].id = track.id;
+  });
+
+  let exited = [];
+  this.tracks_ = this.tracks_.filter((track, t) => {
+    if (matchedTracks[t]) {
+      return true;
+    }
+    track.lost++;
+    if (track.lost > this.gracePeriod) {
+      exited.push(track.last);
+      return false;
+    }
+    return true;
+  });
+
+  let entered = [];
+  blobs.forEach((blob, b) => {
+    if (matchedBlobs[b]) {
+      return;
+    }
+    blob.id = this.nextId_++;
+    this.tracks_.push({
+      id: blob.id,
+      blob: BlobAssociation.copy_(blob),
+      last: blob,
+      lost: 0
+    });
+    entered.push(blob);
+  });
+
+  return {
+    entered,
+    exited
+  };
+};
+
+module.exports = BlobAssociation;
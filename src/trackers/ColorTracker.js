@@ -1,11 +1,17 @@
+const BlobAssociation = require('./BlobAssociation');
 const Tracker = require('./Tracker');
+const Color = require('../utils').Color;
+const DisjointSet = require('../utils').DisjointSet;
+const Region = require('../utils').Region;
+const Image = require('../utils').Image;
 const TrackingMath = require('../math').TrackingMath;
 
 /**
  * ColorTracker utility to track colored blobs in a frame using color
  * difference evaluation.
  * @constructor
- * @param {string|Array.<string>} opt_colors Optional colors to track.
+ * @param {string|Array.<string|object>} opt_colors Optional colors to track,
+ *     see `setColors`.
  * @extends {Tracker}
  */
 class ColorTracker extends Tracker {
@@ -18,7 +24,7 @@ class ColorTracker extends Tracker {
 
     if (opt_colors) {
       opt_colors.forEach(function(color) {
-        if (!ColorTracker.getColor(color)) {
+        if (!ColorTracker.getColor(ColorTracker.getColorName_(color))) {
           throw new Error('Color not valid, try `new tracking.ColorTracker("magenta")`.');
         }
       });
@@ -35,6 +41,15 @@ class ColorTracker extends Tracker {
  */
 ColorTracker.knownColors_ = {};
 
+/**
+ * Holds the color ranges of the known colors registered by
+ * `registerColorRange`.
+ * @type {Object.<string, object>}
+ * @private
+ * @static
+ */
+ColorTracker.colorRanges_ = {};
+
 /**
  * Caches coordinates values of the neighbours surrounding a pixel.
  * @type {Object.<number, Int32Array>}
@@ -52,6 +67,195 @@ ColorTracker.neighbours_ = {};
  */
 ColorTracker.registerColor = function(name, fn) {
   ColorTracker.knownColors_[name] = fn;
+  delete ColorTracker.colorRanges_[name];
+};
+
+/**
+ * Registers a color as known color from a range of colors, compiled to a
+ * lookup table. The range is either `{space, min, max}` or `{space, center,
+ * tolerance}`, with three components arrays in the 'rgb' (0 to 255), 'hsv'
+ * (hue 0 to 360, saturation and value 0 to 100) or 'lab' space. A scalar
+ * tolerance is an euclidean distance to the center, hue ranges wrap around
+ * 360.
+ *
+ * Example:
+ * ColorTracker.registerColorRange('red', { space: 'hsv', min: [340, 50, 30], max: [20, 100, 100] });
+ * ColorTracker.registerColorRange('team', { space: 'lab', center: [55, 70, -20], tolerance: 25 });
+ *
+ * @param {string} name The color name.
+ * @param {object} range The color range.
+ * @static
+ */
+ColorTracker.registerColorRange = function(name, range) {
+  range = Color.normalizeRange(range);
+  const table = Color.compileRange(range);
+
+  ColorTracker.registerColor(name, function(r, g, b) {
+    return table[Color.lookupIndex(r, g, b)] === 1;
+  });
+  ColorTracker.colorRanges_[name] = range;
+};
+
+/**
+ * Calibrates a color from a sample region of a frame. The Lab colors of the
+ * sampled pixels are modeled as a gaussian, which is registered as a known
+ * color holding the colors within `threshold` standard deviations. With a
+ * `background` sample, the colors more likely to be background are
+ * rejected, so look-alike colors are not tracked.
+ *
+ * Example:
+ * ColorTracker.calibrate(pixels, width, height, { x: 10, y: 10, width: 20, height: 20 }, 'marker', {
+ *   background: true
+ * });
+ * const tracker = new tracking.ColorTracker('marker');
+ *
+ * @param {Uint8ClampedArray} pixels The pixels in a linear [r,g,b,a,...]
+ *     array.
+ * @param {number} width The image width.
+ * @param {number} height The image height.
+ * @param {object|Array.<number>} sample The sampled pixels, a rectangle or
+ *     polygon region (see `tracking.Region`) or a mask of `width * height`
+ *     values, non-zero for the sampled pixels.
+ * @param {string} name The color name.
+ * @param {object} opt_options Optional configuration: `threshold`, the
+ *     number of standard deviations, defaults to 3; `background`, the
+ *     background sample in the same form as `sample`, or true for all the
+ *     pixels outside `sample`.
+ * @return {object} The registered color range, see `getColorRange`.
+ * @static
+ */
+ColorTracker.calibrate = function(pixels, width, height, sample, name, opt_options) {
+  const options = opt_options || {};
+  const isSampled = ColorTracker.createSampleTest_(sample, width);
+
+  let range = ColorTracker.sampleGaussian_(pixels, width, height, isSampled);
+  range.space = 'lab';
+  range.threshold = options.threshold || 3;
+
+  if (options.background) {
+    const isBackground = options.background === true ? function(i, j) {
+      return !isSampled(i, j);
+    } : ColorTracker.createSampleTest_(options.background, width);
+    range.background = ColorTracker.sampleGaussian_(pixels, width, height, isBackground);
+  }
+
+  ColorTracker.registerColorRange(name, range);
+  return ColorTracker.getColorRange(name);
+};
+
+/**
+ * Creates the function testing whether the pixel at i,j is sampled.
+ * @param {object|Array.<number>} sample A region or a mask.
+ * @param {number} width The image width.
+ * @return {function}
+ * @private
+ * @static
+ */
+ColorTracker.createSampleTest_ = function(sample, width) {
+  if (Region.isRect(sample) || Region.isPolygon(sample)) {
+    return function(i, j) {
+      return Region.contains(sample, j + 0.5, i + 0.5);
+    };
+  }
+  if (sample && typeof sample.length === 'number') {
+    return function(i, j) {
+      return !!sample[i * width + j];
+    };
+  }
+  throw new Error('Sample not valid, try a rectangle, a polygon or a mask.');
+};
+
+/**
+ * Computes the mean and covariance of the Lab colors of the sampled pixels.
+ * @param {Uint8ClampedArray} pixels The pixels in a linear [r,g,b,a,...]
+ *     array.
+ * @param {number} width The image width.
+ * @param {number} height The image height.
+ * @param {function} isSampled The function testing whether the pixel at
+ *     i,j is sampled.
+ * @return {object} The `{mean, covariance}` gaussian.
+ * @private
+ * @static
+ */
+ColorTracker.sampleGaussian_ = function(pixels, width, height, isSampled) {
+  let count = 0;
+  let sum = new Float64Array(3);
+  let sumSquares = new Float64Array(9);
+
+  for (let i = 0; i < height; i++) {
+    for (let j = 0; j < width; j++) {
+      if (!isSampled(i, j)) {
+        continue;
+      }
+      const w = (i * width + j) * 4;
+      const lab = Color.rgbToLab(pixels[w], pixels[w + 1], pixels[w + 2]);
+      for (let r = 0; r < 3; r++) {
+        sum[r] += lab[r];
+        for (let c = 0; c < 3; c++) {
+          sumSquares[r * 3 + c] += lab[r] * lab[c];
+        }
+      }
+      count++;
+    }
+  }
+
+  if (count < 2) {
+    throw new Error('Sample too small, try a region with more pixels.');
+  }
+
+  const mean = Array.from(sum, function(s) {
+    return s / count;
+  });
+  let covariance = [];
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      covariance.push((sumSquares[r * 3 + c] - count * mean[r] * mean[c]) / (count - 1));
+    }
+  }
+  // Regularizes uniform samples, whose covariance is not invertible.
+  covariance[0] += 1;
+  covariance[4] += 1;
+  covariance[8] += 1;
+
+  return {
+    mean,
+    covariance
+  };
+};
+
+/**
+ * Gets the color range of a known color registered by `registerColorRange`.
+ * @param {string} name The color name.
+ * @return {object} The color range.
+ * @static
+ */
+ColorTracker.getColorRange = function(name) {
+  return ColorTracker.colorRanges_[name];
+};
+
+/**
+ * Exports the color ranges registered by `registerColorRange`, which can be
+ * serialized to JSON and imported by `registerColorRanges`.
+ * @return {Object.<string, object>} The color ranges by color name.
+ * @static
+ */
+ColorTracker.exportColorRanges = function() {
+  return JSON.parse(JSON.stringify(ColorTracker.colorRanges_));
+};
+
+/**
+ * Registers the color ranges exported by `exportColorRanges`.
+ * @param {Object.<string, object>|string} ranges The color ranges by color
+ *     name, or their JSON.
+ * @static
+ */
+ColorTracker.registerColorRanges = function(ranges) {
+  if (typeof ranges === 'string') {
+    ranges = JSON.parse(ranges);
+  }
+  Object.keys(ranges).forEach(function(name) {
+    ColorTracker.registerColorRange(name, ranges[name]);
+  });
 };
 
 /**
@@ -66,7 +270,65 @@ ColorTracker.getColor = function(name) {
 };
 
 /**
- * Holds the colors to be tracked by the `ColorTracker` instance.
+ * Copies points, so the results do not share point objects that would be
+ * transformed twice, see `Scale.transform`.
+ * @param {Array.<{x: number, y: number}>} points
+ * @return {Array.<{x: number, y: number}>}
+ * @private
+ * @static
+ */
+ColorTracker.copyPoints_ = function(points) {
+  return points.map(function(point) {
+    return {
+      x: point.x,
+      y: point.y
+    };
+  });
+};
+
+/**
+ * Gets the name of a color given either as a name or as an object with the
+ * per-color parameters.
+ * @param {string|object} color
+ * @return {string}
+ * @private
+ * @static
+ */
+ColorTracker.getColorName_ = function(color) {
+  return typeof color === 'string' ? color : color.name;
+};
+
+/**
+ * Holds the parameters that can be overridden by color.
+ * @type {Array.<string>}
+ * @private
+ * @static
+ */
+ColorTracker.colorParameters_ = ['minDimension', 'maxDimension', 'minGroupSize'];
+
+/**
+ * Copies a blob along with its moments and contour points, so that it can
+ * be merged without altering the original one.
+ * @param {object} blob
+ * @return {object}
+ * @private
+ * @static
+ */
+ColorTracker.copyBlob_ = function(blob) {
+  let copy = Object.assign({}, blob);
+  copy.moments = Object.assign({}, blob.moments);
+  if (blob.contour) {
+    copy.contour = ColorTracker.copyPoints_(blob.contour);
+  }
+  if (blob.hull) {
+    copy.hull = ColorTracker.copyPoints_(blob.hull);
+  }
+  return copy;
+};
+
+/**
+ * Holds the colors to be tracked by the `ColorTracker` instance, as names
+ * or as objects with per-color parameters.
  * @default ['magenta']
  * @type {Array.<string>}
  */
@@ -95,13 +357,104 @@ ColorTracker.prototype.maxDimension = Infinity;
 ColorTracker.prototype.minGroupSize = 30;
 
 /**
- * Calculates the central coordinate from the cloud points. The cloud points
- * are all points that matches the desired color.
+ * Holds whether the results hold the outer `contour` polygon and the
+ * convex `hull` of the blobs. Merged blobs hold their `hull` only.
+ * @default false
+ * @type {boolean}
+ */
+ColorTracker.prototype.emitContours = false;
+
+/**
+ * Gets the association assigning stable ids to the blobs across frames.
+ * @return {BlobAssociation}
+ */
+ColorTracker.prototype.getAssociation = function() {
+  return this.association_ || null;
+};
+
+/**
+ * Sets the association assigning stable ids to the blobs across frames.
+ * Each result then holds an `id`, and the tracker emits an `enter` event
+ * for each new blob and an `exit` event for each blob lost for longer than
+ * the grace period, after the `track` event.
+ * @param {BlobAssociation|object|boolean} association A `BlobAssociation`,
+ *     its options, true for the default ones, or false to disable it.
+ */
+ColorTracker.prototype.setAssociation = function(association) {
+  if (association && !(association instanceof BlobAssociation)) {
+    association = new BlobAssociation(association === true ? null : association);
+  }
+  this.setInternal_('association_', association || null);
+};
+
+/**
+ * Holds whether a `track:<color>` event is emitted for each color after
+ * the `track` event.
+ * @default false
+ * @type {boolean}
+ */
+ColorTracker.prototype.emitColorEvents = false;
+
+/**
+ * Holds whether the `track` events hold the masks of the matched pixels by
+ * color.
+ * @default false
+ * @type {boolean}
+ */
+ColorTracker.prototype.emitMasks = false;
+
+/**
+ * Holds the illumination normalization applied to the frames before
+ * matching the colors, see `Image.normalizeIllumination`.
+ * @default null
+ * @type {string}
+ */
+ColorTracker.prototype.illumination = null;
+
+/**
+ * Holds the `[r, g, b]` channel means of the reference frame of the `gain`
+ * illumination normalization.
+ * @default null
+ * @type {Array.<number>}
+ */
+ColorTracker.prototype.illuminationReference = null;
+
+/**
+ * Holds the maximum gap in pixels between the bounding boxes of two blobs
+ * to be merged. The default merges intersecting blobs only, `0` merges the
+ * adjacent ones as well.
+ * @default -1
+ * @type {number}
+ */
+ColorTracker.prototype.mergeDistance = -1;
+
+/**
+ * Holds which colors may be merged together: `same` for the blobs of the
+ * same color only, `any` for all of them, or groups of color names, e.g.
+ * `[['red', 'orange']]`, whose blobs may be merged with each other.
+ * @default 'same'
+ * @type {string|Array.<Array.<string>>}
+ */
+ColorTracker.prototype.mergeColors = 'same';
+
+/**
+ * Holds the morphological operations applied to the color masks before
+ * grouping, see `Image.morphology`.
+ * @default null
+ * @type {Array.<{operation: string, element: (object|string|number)}>}
+ */
+ColorTracker.prototype.morphology = null;
+
+/**
+ * Calculates the dimensions and the geometry of the blob from the cloud
+ * points. The cloud points are all points that matches the desired color.
  * @param {Array.<number>} cloud Major row order array containing all the
  *     points from the desired color, e.g. [x1, y1, c2, y2, ...].
  * @param {number} total Total numbers of pixels of the desired color.
- * @return {object} Object containing the x, y and estimated z coordinate of
- *     the blog extracted from the cloud points.
+ * @return {object} Object containing the bounding box `x`, `y`, `width`
+ *     and `height` of the blob extracted from the cloud points, its raw
+ *     image `moments`, `area`, `centroid`, `orientation` and `ellipse`, and
+ *     its `contour` and `hull` when `emitContours` is set.
  * @private
  */
 ColorTracker.prototype.calculateDimensions_ = function(cloud, total) {
@@ -109,6 +462,14 @@ ColorTracker.prototype.calculateDimensions_ = function(cloud, total) {
   let maxy = -1;
   let minx = Infinity;
   let miny = Infinity;
+  let moments = {
+    m00: 0,
+    m10: 0,
+    m01: 0,
+    m20: 0,
+    m11: 0,
+    m02: 0
+  };
 
   for (let c = 0; c < total; c += 2) {
     let x = cloud[c];
@@ -126,24 +487,121 @@ ColorTracker.prototype.calculateDimensions_ = function(cloud, total) {
     if (y > maxy) {
       maxy = y;
     }
+
+    moments.m00++;
+    moments.m10 += x;
+    moments.m01 += y;
+    moments.m20 += x * x;
+    moments.m11 += x * y;
+    moments.m02 += y * y;
   }
 
-  return {
+  let result = {
     width: maxx - minx,
     height: maxy - miny,
     x: minx,
-    y: miny
+    y: miny,
+    moments
+  };
+  this.calculateGeometry_(result);
+
+  if (this.getEmitContours()) {
+    const maskWidth = maxx - minx + 1;
+    const maskHeight = maxy - miny + 1;
+    let mask = new Uint8Array(maskWidth * maskHeight);
+    for (let c = 0; c < total; c += 2) {
+      mask[(cloud[c + 1] - miny) * maskWidth + cloud[c] - minx] = 1;
+    }
+    result.contour = Image.traceContour(mask, maskWidth, maskHeight).map(function(point) {
+      return {
+        x: point.x + minx,
+        y: point.y + miny
+      };
+    });
+    result.hull = ColorTracker.copyPoints_(TrackingMath.convexHull(result.contour));
+  }
+
+  return result;
+};
+
+/**
+ * Calculates the `area`, `centroid`, `orientation` and `ellipse` of a blob
+ * from its raw image `moments`. The orientation is the angle in radians of
+ * the major axis, clockwise from the x axis in image coordinates, and the
+ * ellipse has the same second order moments as the blob.
+ * @param {object} result The blob, updated in place.
+ * @private
+ */
+ColorTracker.prototype.calculateGeometry_ = function(result) {
+  const m = result.moments;
+  const cx = m.m10 / m.m00;
+  const cy = m.m01 / m.m00;
+  const mu20 = m.m20 / m.m00 - cx * cx;
+  const mu02 = m.m02 / m.m00 - cy * cy;
+  const mu11 = m.m11 / m.m00 - cx * cy;
+  const orientation = 0.5 * Math.atan2(2 * mu11, mu20 - mu02);
+  const spread = Math.sqrt(4 * mu11 * mu11 + (mu20 - mu02) * (mu20 - mu02)) / 2;
+  const major = (mu20 + mu02) / 2 + spread;
+  const minor = Math.max(0, (mu20 + mu02) / 2 - spread);
+
+  result.area = m.m00;
+  result.centroid = {
+    x: cx,
+    y: cy
+  };
+  result.orientation = orientation;
+  result.ellipse = {
+    x: cx,
+    y: cy,
+    majorAxis: 4 * Math.sqrt(major),
+    minorAxis: 4 * Math.sqrt(minor),
+    angle: orientation
   };
 };
 
 /**
  * Gets the colors being tracked by the `ColorTracker` instance.
- * @return {Array.<string>}
+ * @return {Array.<string|object>}
  */
 ColorTracker.prototype.getColors = function() {
   return this.colors;
 };
 
+/**
+ * Gets the names of the colors being tracked.
+ * @return {Array.<string>}
+ * @private
+ */
+ColorTracker.prototype.getColorNames_ = function() {
+  return this.getColors().map(ColorTracker.getColorName_);
+};
+
+/**
+ * Gets a parameter for a color, either overridden in `setColors` or the
+ * one of the `ColorTracker` instance.
+ * @param {string} color The color name.
+ * @param {string} parameter The parameter, `minDimension`, `maxDimension`
+ *     or `minGroupSize`.
+ * @return {number}
+ * @private
+ */
+ColorTracker.prototype.getColorParameter_ = function(color, parameter) {
+  for (const entry of this.getColors()) {
+    if (typeof entry !== 'string' && entry.name === color && entry[parameter] !== undefined) {
+      return entry[parameter];
+    }
+  }
+  return this[parameter];
+};
+
+/**
+ * Gets whether a `track:<color>` event is emitted for each color.
+ * @return {boolean}
+ */
+ColorTracker.prototype.getEmitColorEvents = function() {
+  return this.emitColorEvents;
+};
+
 /**
  * Gets the minimum dimension to classify a rectangle.
  * @return {number}
@@ -168,6 +626,64 @@ ColorTracker.prototype.getMinGroupSize = function() {
   return this.minGroupSize;
 };
 
+/**
+ * Gets whether the results hold the `contour` and `hull` of the blobs,
+ * the `hull` only for merged blobs.
+ * @return {boolean}
+ */
+ColorTracker.prototype.getEmitContours = function() {
+  return this.emitContours;
+};
+
+/**
+ * Gets whether the `track` events hold the masks of the matched pixels.
+ * @return {boolean}
+ */
+ColorTracker.prototype.getEmitMasks = function() {
+  return this.emitMasks;
+};
+
+/**
+ * Gets the illumination normalization applied to the frames.
+ * @return {string}
+ */
+ColorTracker.prototype.getIllumination = function() {
+  return this.illumination;
+};
+
+/**
+ * Gets the channel means of the reference frame of the `gain`
+ * illumination normalization.
+ * @return {Array.<number>}
+ */
+ColorTracker.prototype.getIlluminationReference = function() {
+  return this.illuminationReference;
+};
+
+/**
+ * Gets which colors may be merged together.
+ * @return {string|Array.<Array.<string>>}
+ */
+ColorTracker.prototype.getMergeColors = function() {
+  return this.mergeColors;
+};
+
+/**
+ * Gets the maximum gap in pixels between two blobs to be merged.
+ * @return {number}
+ */
+ColorTracker.prototype.getMergeDistance = function() {
+  return this.mergeDistance;
+};
+
+/**
+ * Gets the morphological operations applied to the color masks.
+ * @return {Array.<{operation: string, element: (object|string|number)}>}
+ */
+ColorTracker.prototype.getMorphology = function() {
+  return this.morphology;
+};
+
 /**
  * Gets the eight offset values of the neighbours surrounding a pixel.
  * @param {number} width The image width.
@@ -197,56 +713,181 @@ ColorTracker.prototype.getNeighboursForWidth_ = function(width) {
 };
 
 /**
- * Unites groups whose bounding box intersect with each other.
+ * Merges the geometry of a blob into another one. The moments are summed,
+ * and the hull of the merged blob is the convex hull of both. The merged
+ * blob has no single outer contour, hence it drops its `contour`.
+ * @param {object} target The blob to merge into, updated in place.
+ * @param {object} source The blob to merge.
+ * @private
+ */
+ColorTracker.prototype.mergeGeometry_ = function(target, source) {
+  Object.keys(target.moments).forEach(function(key) {
+    target.moments[key] += source.moments[key];
+  });
+  this.calculateGeometry_(target);
+
+  if (target.hull && source.hull) {
+    target.hull = ColorTracker.copyPoints_(TrackingMath.convexHull(target.hull.concat(source.hull)));
+  }
+  delete target.contour;
+};
+
+/**
+ * Unites the blobs whose bounding boxes are at most `mergeDistance` apart,
+ * and whose colors may be merged according to `mergeColors`. The blobs are
+ * grouped with a union-find over all the pairs, repeated until no merged
+ * box gets close to another one, so that the merged blobs do not depend on
+ * the order of the input. The input blobs are left untouched.
  * @param {Array.<Object>} rects
+ * @return {Array.<Object>} The merged blobs within the dimension bounds of
+ *     their color.
  * @private
  */
 ColorTracker.prototype.mergeRectangles_ = function(rects) {
-  let intersects;
-  let results = [];
-  let minDimension = this.getMinDimension();
-  let maxDimension = this.getMaxDimension();
-
-  for (let r = 0; r < rects.length; r++) {
-    let r1 = rects[r];
-    intersects = true;
-    for (let s = r + 1; s < rects.length; s++) {
-      let r2 = rects[s];
-      if (TrackingMath.intersectRect(r1.x, r1.y, r1.x + r1.width, r1.y + r1.height,
-          r2.x, r2.y, r2.x + r2.width, r2.y + r2.height)) {
-        intersects = false;
-        let x1 = Math.min(r1.x, r2.x);
-        let y1 = Math.min(r1.y, r2.y);
-        let x2 = Math.max(r1.x + r1.width, r2.x + r2.width);
-        let y2 = Math.max(r1.y + r1.height, r2.y + r2.height);
-        r2.height = y2 - y1;
-        r2.width = x2 - x1;
-        r2.x = x1;
-        r2.y = y1;
-        break;
+  let groups = rects;
+
+  for (;;) {
+    let set = new DisjointSet(groups.length);
+    let united = false;
+    for (let r = 0; r < groups.length; r++) {
+      for (let s = r + 1; s < groups.length; s++) {
+        if (this.canMerge_(groups[r], groups[s])) {
+          set.union(r, s);
+          united = true;
+        }
       }
     }
+    if (!united) {
+      break;
+    }
 
-    if (intersects) {
-      if (r1.width >= minDimension && r1.height >= minDimension) {
-        if (r1.width <= maxDimension && r1.height <= maxDimension) {
-          results.push(r1);
-        }
+    let merged = new Map();
+    for (let r = 0; r < groups.length; r++) {
+      const root = set.find(r);
+      const target = merged.get(root);
+      if (target) {
+        this.mergeBlob_(target, groups[r]);
+      } else {
+        merged.set(root, groups === rects ? ColorTracker.copyBlob_(groups[r]) : groups[r]);
       }
     }
+    groups = Array.from(merged.values());
   }
 
-  return results;
+  return groups.filter(function(rect) {
+    const minDimension = this.getColorParameter_(rect.color, 'minDimension');
+    const maxDimension = this.getColorParameter_(rect.color, 'maxDimension');
+    return rect.width >= minDimension && rect.height >= minDimension &&
+      rect.width <= maxDimension && rect.height <= maxDimension;
+  }, this);
 };
 
 /**
- * Sets the colors to be tracked by the `ColorTracker` instance.
- * @param {Array.<string>} colors
+ * Checks whether two blobs are to be merged, that is whether their colors
+ * may be merged and the gap of pixels between their bounding boxes, along
+ * the x or y axis whichever is the largest, is at most `mergeDistance`.
+ * @param {object} r1
+ * @param {object} r2
+ * @return {boolean}
+ * @private
+ */
+ColorTracker.prototype.canMerge_ = function(r1, r2) {
+  const distance = this.getMergeDistance();
+  // The boxes span from `x` to `x + width` inclusive, hence the pixels in
+  // between start one pixel further.
+  const gapX = Math.max(r2.x - (r1.x + r1.width), r1.x - (r2.x + r2.width)) - 1;
+  const gapY = Math.max(r2.y - (r1.y + r1.height), r1.y - (r2.y + r2.height)) - 1;
+  if (gapX > distance || gapY > distance) {
+    return false;
+  }
+  if (r1.color === r2.color) {
+    return true;
+  }
+
+  const mergeColors = this.getMergeColors();
+  if (mergeColors === 'any') {
+    return true;
+  }
+  if (Array.isArray(mergeColors)) {
+    return mergeColors.some(function(colors) {
+      return colors.indexOf(r1.color) > -1 && colors.indexOf(r2.color) > -1;
+    });
+  }
+  return false;
+};
+
+/**
+ * Merges a blob into another one, uniting their bounding boxes and their
+ * geometry. The merged blob takes the color of the largest one.
+ * @param {object} target The blob to merge into, updated in place.
+ * @param {object} source The blob to merge.
+ * @private
+ */
+ColorTracker.prototype.mergeBlob_ = function(target, source) {
+  let x1 = Math.min(target.x, source.x);
+  let y1 = Math.min(target.y, source.y);
+  let x2 = Math.max(target.x + target.width, source.x + source.width);
+  let y2 = Math.max(target.y + target.height, source.y + source.height);
+  if (source.area > target.area) {
+    target.color = source.color;
+  }
+  target.height = y2 - y1;
+  target.width = x2 - x1;
+  target.x = x1;
+  target.y = y1;
+  this.mergeGeometry_(target, source);
+};
+
+/**
+ * Sets the colors to be tracked by the `ColorTracker` instance. Each color
+ * is either a name or an object with its `name` and the `minDimension`,
+ * `maxDimension` or `minGroupSize` overriding the ones of the instance for
+ * this color, e.g. `['magenta', { name: 'yellow', minGroupSize: 5 }]`.
+ * @param {Array.<string|object>} colors
  */
 ColorTracker.prototype.setColors = function(colors) {
+  colors.forEach(function(color) {
+    if (typeof color === 'string') {
+      return;
+    }
+    if (!color || typeof color.name !== 'string') {
+      throw new Error('Color should be a name or an object with a `name`.');
+    }
+    Object.keys(color).forEach(function(key) {
+      if (key !== 'name' && ColorTracker.colorParameters_.indexOf(key) < 0) {
+        throw new Error('Unknown parameter for color "' + color.name + '": ' + key + '.');
+      }
+    });
+  });
   this.colors = colors;
 };
 
+/**
+ * Sets whether a `track:<color>` event is emitted for each color after the
+ * `track` event, holding the `data` of this color only.
+ * @param {boolean} emitColorEvents
+ */
+ColorTracker.prototype.setEmitColorEvents = function(emitColorEvents) {
+  this.emitColorEvents = emitColorEvents;
+};
+
+/**
+ * Sets whether the results hold the `contour` and `hull` of the blobs.
+ * @param {boolean} emitContours
+ */
+ColorTracker.prototype.setEmitContours = function(emitContours) {
+  this.emitContours = emitContours;
+};
+
+/**
+ * Sets whether the `track` events hold the masks of the matched pixels, as
+ * `Uint8Array`s by color with 1 for the matched pixels.
+ * @param {boolean} emitMasks
+ */
+ColorTracker.prototype.setEmitMasks = function(emitMasks) {
+  this.emitMasks = emitMasks;
+};
+
 /**
  * Sets the minimum dimension to classify a rectangle.
  * @param {number} minDimension
@@ -271,112 +912,409 @@ ColorTracker.prototype.setMinGroupSize = function(minGroupSize) {
   this.minGroupSize = minGroupSize;
 };
 
+/**
+ * Sets the illumination normalization applied to the frames before
+ * matching the colors: `grayWorld` or `whitePatch` white balance,
+ * `chromaticity` normalization, or `gain` compensation against the
+ * reference frame, which defaults to the first frame tracked. Set to `null`
+ * to match the colors of the frames as they are.
+ * @param {string} illumination
+ */
+ColorTracker.prototype.setIllumination = function(illumination) {
+  if (illumination && Image.illuminationModes.indexOf(illumination) < 0) {
+    throw new Error('Unknown illumination normalization mode: ' + illumination + '.');
+  }
+  this.illumination = illumination;
+};
+
+/**
+ * Sets the reference frame of the `gain` illumination normalization, e.g.
+ * a frame captured under the lighting the colors were calibrated for. Set
+ * to `null` to use the next frame tracked.
+ * @param {array} reference The reference frame pixels in a linear
+ *     [r,g,b,a,...] array, or its `[r, g, b]` channel means.
+ */
+ColorTracker.prototype.setIlluminationReference = function(reference) {
+  if (reference && reference.length !== 3) {
+    reference = Image.channelMeans(reference);
+  }
+  this.illuminationReference = reference ? Array.from(reference) : null;
+};
+
+/**
+ * Sets which colors may be merged together: `same` for the blobs of the
+ * same color only, `any` for all of them, or groups of color names whose
+ * blobs may be merged with each other. A merged blob takes the color of
+ * its largest part.
+ * @param {string|Array.<Array.<string>>} mergeColors
+ */
+ColorTracker.prototype.setMergeColors = function(mergeColors) {
+  if (mergeColors !== 'same' && mergeColors !== 'any' && !Array.isArray(mergeColors)) {
+    throw new Error('Merge colors should be "same", "any" or an array of color groups.');
+  }
+  this.mergeColors = mergeColors;
+};
+
+/**
+ * Sets the maximum gap in pixels between the bounding boxes of two blobs
+ * to be merged, e.g. the width of a finger splitting a marker. Defaults to
+ * `-1`, merging the intersecting blobs only. Set to `-Infinity` to disable
+ * merging.
+ * @param {number} mergeDistance
+ */
+ColorTracker.prototype.setMergeDistance = function(mergeDistance) {
+  this.mergeDistance = mergeDistance;
+};
+
+/**
+ * Sets the morphological operations applied to the color masks before
+ * grouping, e.g. `[{ operation: 'open', element: 'cross' }]` to remove the
+ * noise and `[{ operation: 'close', element: 5 }]` to join the fragments of
+ * the blobs. Set to `null` to group the matched pixels as they are.
+ * @param {Array.<{operation: string, element: (object|string|number),
+ *     border: number}>} morphology The operations, `erode`, `dilate`, `open`
+ *     or `close`, in the order to apply, with the structuring element and
+ *     border value accepted by `Image.erode`.
+ */
+ColorTracker.prototype.setMorphology = function(morphology) {
+  if (morphology) {
+    Image.morphology(new Uint8Array(1), 1, 1, morphology);
+  }
+  this.morphology = morphology;
+};
+
 /**
  * Tracks the `Video` frames. This method is called for each video frame in
- * order to emit `track` event.
+ * order to emit `track` event, holding the results in `data` and grouped by
+ * color name in `byColor`. When `emitMasks` is set, the event also holds
+ * the `masks` of the matched pixels by color, of the tracked `width` and
+ * `height`.
  * @param {Uint8ClampedArray} pixels The pixels data to track.
  * @param {number} width The pixels canvas width.
  * @param {number} height The pixels canvas height.
  */
 ColorTracker.prototype.track = function (pixels, width, height) {
-  const colors = this.getColors();
-
-  if (!colors) {
+  if (!this.getColors()) {
     throw new Error('Colors not specified, try `new tracking.ColorTracker("magenta")`.');
   }
+  const colors = this.getColorNames_();
+  pixels = this.normalizeIllumination_(pixels, width, height);
 
-  let results = [];
+  let masks = null;
+  if (this.getEmitMasks()) {
+    masks = {};
+    for (const color of colors) {
+      masks[color] = new Uint8Array(width * height);
+    }
+  }
+
+  const frameWidth = width;
+  const results = this.trackRegions_(pixels, width, height, function(pixels, width, height, box) {
+    let regionMasks = masks;
+    if (masks && (width !== frameWidth || box.x || box.y)) {
+      regionMasks = {};
+      for (const color of colors) {
+        regionMasks[color] = new Uint8Array(width * height);
+      }
+    }
 
+    let results = this.trackColors_(pixels, width, height, colors, regionMasks);
+
+    if (regionMasks !== masks) {
+      for (const color of colors) {
+        for (let i = 0; i < height; i++) {
+          const from = (box.y + i) * frameWidth + box.x;
+          for (let j = 0; j < width; j++) {
+            masks[color][from + j] |= regionMasks[color][i * width + j];
+          }
+        }
+      }
+    }
+
+    results = this.mergeRectangles_(results);
+    results.forEach(function(result) {
+      delete result.moments;
+    });
+    return results;
+  });
+
+  let byColor = {};
   for (const color of colors) {
-    results = results.concat(this.trackColor_(pixels, width, height, color));
+    byColor[color] = [];
   }
-
-  this.emit('track', {
-    data: results
+  results.forEach(function(result) {
+    byColor[result.color].push(result);
   });
+
+  let event = {
+    data: results,
+    byColor
+  };
+  if (masks) {
+    event.masks = masks;
+    event.width = width;
+    event.height = height;
+  }
+  this.emitTrackEvent_(event);
+};
+
+/**
+ * Emits the `track` event of a frame, after mapping it back into the
+ * original size and assigning the blob ids of the association, followed by
+ * the `track:<color>` events and the `enter` and `exit` events of the
+ * association.
+ * @param {object} event The `track` event, holding `data` and `byColor`.
+ * @protected
+ * @override
+ */
+ColorTracker.prototype.emitTrackEvent_ = function(event) {
+  this.rescaleEvent_(event);
+  const association = this.getAssociation();
+  const changes = association ? association.update(event.data) : null;
+
+  this.emit('track', event);
+
+  if (this.getEmitColorEvents()) {
+    for (const color of Object.keys(event.byColor)) {
+      this.emit('track:' + color, {
+        data: event.byColor[color]
+      });
+    }
+  }
+
+  if (changes) {
+    changes.entered.forEach((blob) => {
+      this.emit('enter', blob);
+    });
+    changes.exited.forEach((blob) => {
+      this.emit('exit', blob);
+    });
+  }
 };
 
 /**
- * Find the given color in the given matrix of pixels using Flood fill
- * algorithm to determines the area connected to a given node in a
- * multi-dimensional array.
+ * Finds the given colors in the given matrix of pixels in a single pass.
+ * Each pixel is first classified once, setting in a label the bit of every
+ * color it matches. The labels are then scanned once, a flood fill
+ * determining the area connected to each pixel for each of its colors not
+ * grouped yet. The buffers, including those of the morphological
+ * operations, are pooled across frames.
  * @param {Uint8ClampedArray} pixels The pixels data to track.
  * @param {number} width The pixels canvas width.
  * @param {number} height The pixels canvas height.
- * @param {string} color The color to be found
+ * @param {Array.<string>} colors The names of the colors to be found.
+ * @param {Object.<string, Uint8Array>} opt_masks Optional masks of `width *
+ *     height` values by color, to be set to 1 for the pixels matching the
+ *     color.
+ * @return {Array.<object>} The blobs of the colors, with their raw image
+ *     moments, not merged yet.
  * @private
  */
-ColorTracker.prototype.trackColor_ = function(pixels, width, height, color) {
-  let colorFn = ColorTracker.knownColors_[color];
-  let currGroup = new Int32Array(pixels.length >> 2);
-  let currGroupSize;
-  let currI;
-  let currJ;
-  let currW;
-  let marked = new Int8Array(pixels.length);
-  let minGroupSize = this.getMinGroupSize();
+ColorTracker.prototype.trackColors_ = function(pixels, width, height, colors, opt_masks) {
+  if (colors.length > 32) {
+    throw new Error('At most 32 colors can be tracked at once.');
+  }
+
+  const length = width * height;
+  const buffers = this.getBuffers_(length);
+  let labels = buffers.labels;
+  let marked = buffers.marked;
+  labels.fill(0, 0, length);
+  marked.fill(0, 0, length);
+  let queue = buffers.queue;
+  let currGroup = buffers.group;
+  let colorFns = colors.map(function(color) {
+    return ColorTracker.knownColors_[color];
+  });
+  let minGroupSizes = colors.map(function(color) {
+    return this.getColorParameter_(color, 'minGroupSize');
+  }, this);
   let neighboursW = this.getNeighboursForWidth_(width);
-  let queue = new Int32Array(pixels.length);
-  let queuePosition;
   let results = [];
-  let w = -4;
+  let w = 0;
 
-  if (!colorFn) {
-    return results;
+  for (let i = 0; i < height; i++) {
+    for (let j = 0; j < width; j++, w += 4) {
+      let label = 0;
+      for (let k = 0; k < colorFns.length; k++) {
+        if (colorFns[k] && colorFns[k](pixels[w], pixels[w + 1], pixels[w + 2], pixels[w + 3], w, i, j)) {
+          label |= 1 << k;
+        }
+      }
+      labels[w >> 2] = label;
+    }
   }
 
-  for (let i = 0; i < height; i++) {
-    for (let j = 0; j < width; j++) {
-      w += 4;
+  const morphology = this.getMorphology();
+  if (morphology && morphology.length) {
+    this.applyMorphology_(labels, width, height, colors.length, morphology);
+  }
 
-      if (marked[w]) {
-        continue;
+  if (opt_masks) {
+    colors.forEach(function(color, k) {
+      const mask = opt_masks[color];
+      for (let p = 0; p < length; p++) {
+        if (labels[p] & (1 << k)) {
+          mask[p] = 1;
+        }
       }
+    });
+  }
 
-      currGroupSize = 0;
+  w = -4;
+  for (let i = 0; i < height; i++) {
+    for (let j = 0; j < width; j++) {
+      w += 4;
 
-      queuePosition = -1;
-      queue[++queuePosition] = w;
-      queue[++queuePosition] = i;
-      queue[++queuePosition] = j;
+      let pending = labels[w >> 2] & ~marked[w >> 2];
+      while (pending) {
+        const bit = pending & -pending;
+        const k = 31 - Math.clz32(bit);
+        pending &= ~bit;
 
-      marked[w] = 1;
+        let currGroupSize = 0;
+        let queuePosition = -1;
+        queue[++queuePosition] = w;
+        queue[++queuePosition] = i;
+        queue[++queuePosition] = j;
+        marked[w >> 2] |= bit;
 
-      while (queuePosition >= 0) {
-        currJ = queue[queuePosition--];
-        currI = queue[queuePosition--];
-        currW = queue[queuePosition--];
+        while (queuePosition >= 0) {
+          const currJ = queue[queuePosition--];
+          const currI = queue[queuePosition--];
+          const currW = queue[queuePosition--];
 
-        if (colorFn(pixels[currW], pixels[currW + 1], pixels[currW + 2], pixels[currW + 3], currW, currI, currJ)) {
           currGroup[currGroupSize++] = currJ;
           currGroup[currGroupSize++] = currI;
 
-          for (let k = 0; k < neighboursW.length; k++) {
-            let otherW = currW + neighboursW[k];
-            let otherI = currI + neighboursI[k];
-            let otherJ = currJ + neighboursJ[k];
-            if (!marked[otherW] && otherI >= 0 && otherI < height && otherJ >= 0 && otherJ < width) {
+          for (let n = 0; n < neighboursW.length; n++) {
+            const otherI = currI + neighboursI[n];
+            const otherJ = currJ + neighboursJ[n];
+            if (otherI < 0 || otherI >= height || otherJ < 0 || otherJ >= width) {
+              continue;
+            }
+            const otherW = currW + neighboursW[n];
+            const other = otherW >> 2;
+            if ((labels[other] & bit) && !(marked[other] & bit)) {
               queue[++queuePosition] = otherW;
               queue[++queuePosition] = otherI;
               queue[++queuePosition] = otherJ;
-
-              marked[otherW] = 1;
+              marked[other] |= bit;
             }
           }
         }
-      }
 
-      if (currGroupSize >= minGroupSize) {
-        let data = this.calculateDimensions_(currGroup, currGroupSize);
-        if (data) {
-          data.color = color;
-          results.push(data);
+        if (currGroupSize >= minGroupSizes[k]) {
+          let data = this.calculateDimensions_(currGroup, currGroupSize);
+          if (data) {
+            data.color = colors[k];
+            results.push(data);
+          }
         }
       }
     }
   }
 
-  return this.mergeRectangles_(results);
+  return results;
+};
+
+/**
+ * Applies the morphological operations to the pixels of each color in the
+ * labels, updating their bits.
+ * @param {Uint32Array} labels The labels of `width * height` pixels, with
+ *     the bit `k` set for the pixels matching the color `k`.
+ * @param {number} width The labels width.
+ * @param {number} height The labels height.
+ * @param {number} total The number of colors.
+ * @param {Array.<{operation: string, element: (object|string|number)}>}
+ *     morphology The morphological operations.
+ * @private
+ */
+ColorTracker.prototype.applyMorphology_ = function(labels, width, height, total, morphology) {
+  const length = width * height;
+  const buffers = this.getBuffers_(length);
+  let mask = buffers.mask;
+  for (let k = 0; k < total; k++) {
+    const bit = 1 << k;
+    for (let p = 0; p < length; p++) {
+      mask[p] = labels[p] & bit ? 1 : 0;
+    }
+    const processed = Image.morphology(mask, width, height, morphology, buffers.morphology);
+    for (let p = 0; p < length; p++) {
+      labels[p] = processed[p] ? labels[p] | bit : labels[p] & ~bit;
+    }
+  }
+};
+
+/**
+ * Normalizes the illumination of a frame according to `illumination`, in a
+ * buffer reused across frames. With regions of interest, the statistics of
+ * the frame, and of the first frame as the `gain` reference, are computed
+ * on the pixels inside them only, the ones outside being possibly cleared.
+ * @param {Uint8ClampedArray} pixels The pixels data to track.
+ * @param {number} width The pixels canvas width.
+ * @param {number} height The pixels canvas height.
+ * @return {Uint8ClampedArray} The normalized pixels, or the pixels as they
+ *     are if no normalization is set.
+ * @private
+ */
+ColorTracker.prototype.normalizeIllumination_ = function(pixels, width, height) {
+  const illumination = this.getIllumination();
+  if (!illumination) {
+    return pixels;
+  }
+
+  const roi = this.getRegionOfInterest();
+  let mask = null;
+  if (roi) {
+    mask = this.illuminationMask_;
+    if (!mask || mask.length !== width * height) {
+      mask = new Uint8Array(width * height);
+      this.setInternal_('illuminationMask_', mask);
+    }
+    Region.createMask(roi, width, height, mask);
+  }
+  if (illumination === 'gain' && !this.getIlluminationReference()) {
+    this.setIlluminationReference(Image.channelMeans(pixels, mask));
+  }
+
+  let output = this.normalized_;
+  if (!output || output.length !== pixels.length) {
+    output = new Uint8ClampedArray(pixels.length);
+    this.setInternal_('normalized_', output);
+  }
+  return Image.normalizeIllumination(pixels, width, height, illumination, {
+    reference: this.getIlluminationReference(),
+    output,
+    mask
+  });
+};
+
+/**
+ * Gets the buffers used to label the pixels, reused across frames as long
+ * as they are large enough. The `labels` and `marked` buffers are cleared
+ * when created or grown, and by `trackColors_` for each region. The `mask`
+ * and `morphology` buffers hold the mask of a color and its morphological
+ * processing.
+ * @param {number} length The number of pixels.
+ * @return {{labels: Uint32Array, marked: Uint32Array, queue: Int32Array,
+ *     group: Int32Array, mask: Uint8Array, morphology: Array.<Uint8Array>}}
+ * @private
+ */
+ColorTracker.prototype.getBuffers_ = function(length) {
+  let buffers = this.buffers_;
+  if (!buffers || buffers.labels.length < length) {
+    buffers = {
+      labels: new Uint32Array(length),
+      marked: new Uint32Array(length),
+      queue: new Int32Array(length * 3),
+      group: new Int32Array(length * 2),
+      mask: new Uint8Array(length),
+      morphology: [new Uint8Array(length), new Uint8Array(length)]
+    };
+    this.setInternal_('buffers_', buffers);
+  }
+  return buffers;
 };
 
 // Default colors
@@ -1,38 +1,62 @@
 const Tracker = require('./Tracker');
+const LBPCascade = require('../training').LBPCascade;
 const ViolaJones = require('../training').ViolaJones;
 
 /**
  * ObjectTracker utility.
  * @constructor
- * @param {string|Array.<string|Array.<number>>} opt_classifiers Optional
- *     object classifiers to track.
+ * @param {string|Array.<string|Array.<number>|object>} opt_classifiers
+ *     Optional object classifiers to track, either names of
+ *     `ViolaJones.classifiers`, HAAR classifiers data or `LBPCascade`
+ *     classifiers.
  * @extends {Tracker}
  */
 class ObjectTracker extends Tracker {
   constructor(opt_classifiers) {
     super(opt_classifiers);
 
-    if (opt_classifiers) {
-      if (!Array.isArray(opt_classifiers)) {
-        opt_classifiers = [opt_classifiers];
-      }
-
-      if (Array.isArray(opt_classifiers)) {
-        opt_classifiers.forEach(function(classifier, i) {
-          if (typeof classifier === 'string') {
-            opt_classifiers[i] = ViolaJones.classifiers[classifier];
-          }
-          if (!opt_classifiers[i]) {
-            throw new Error('Object classifier not valid, try `new tracking.ObjectTracker("face")`.');
-          }
-        });
-      }
+    if (opt_classifiers && !Array.isArray(opt_classifiers)) {
+      opt_classifiers = [opt_classifiers];
     }
 
     this.setClassifiers(opt_classifiers);
   }
 }
 
+/**
+ * Holds the names of the classifiers, as registered in
+ * `ViolaJones.classifiers`, null for the unregistered ones.
+ * @type {Array.<string>}
+ */
+ObjectTracker.prototype.classifierNames = null;
+
+/**
+ * Specifies the minimum number of neighbors, that is of overlapping
+ * sub-windows grouped into a detection, for the detection to be kept. As
+ * in OpenCV, the detections with at most `minNeighbors` sub-windows are
+ * rejected.
+ * @default 0
+ * @type {number}
+ */
+ObjectTracker.prototype.minNeighbors = 0;
+
+/**
+ * Specifies the name of the grouping strategy of the detected sub-windows
+ * in `ViolaJones.groupings`: `average`, `nms` or `weighted`.
+ * @default 'average'
+ * @type {string}
+ */
+ObjectTracker.prototype.grouping = 'average';
+
+/**
+ * Specifies the threshold of the grouping strategy, the minimum overlap
+ * for `average` and the IoU above which the sub-windows are suppressed for
+ * `nms` and `weighted`. Null for the default of the strategy.
+ * @default null
+ * @type {number}
+ */
+ObjectTracker.prototype.groupingThreshold = null;
+
 /**
  * Specifies the edges density of a block in order to decide whether to skip
  * it or not.
@@ -63,13 +87,21 @@ ObjectTracker.prototype.scaleFactor = 1.25;
 ObjectTracker.prototype.stepSize = 1.5;
 
 /**
- * Gets the tracker HAAR classifiers.
- * @return {TypedArray.<number>}
+ * Gets the tracker HAAR and LBP classifiers.
+ * @return {Array.<TypedArray.<number>|object>}
  */
 ObjectTracker.prototype.getClassifiers = function() {
   return this.classifiers;
 };
 
+/**
+ * Gets the names of the tracker classifiers.
+ * @return {Array.<string>}
+ */
+ObjectTracker.prototype.getClassifierNames = function() {
+  return this.classifierNames;
+};
+
 /**
  * Gets the edges density value.
  * @return {number}
@@ -78,6 +110,22 @@ ObjectTracker.prototype.getEdgesDensity = function() {
   return this.edgesDensity;
 };
 
+/**
+ * Gets the name of the grouping strategy of the detected sub-windows.
+ * @return {string}
+ */
+ObjectTracker.prototype.getGrouping = function() {
+  return this.grouping;
+};
+
+/**
+ * Gets the threshold of the grouping strategy.
+ * @return {number}
+ */
+ObjectTracker.prototype.getGroupingThreshold = function() {
+  return this.groupingThreshold;
+};
+
 /**
  * Gets the initial scale to start the feature block scaling.
  * @return {number}
@@ -86,6 +134,14 @@ ObjectTracker.prototype.getInitialScale = function() {
   return this.initialScale;
 };
 
+/**
+ * Gets the minimum number of neighbors of a detection.
+ * @return {number}
+ */
+ObjectTracker.prototype.getMinNeighbors = function() {
+  return this.minNeighbors;
+};
+
 /**
  * Gets the scale factor to scale the feature block.
  * @return {number}
@@ -104,7 +160,9 @@ ObjectTracker.prototype.getStepSize = function() {
 
 /**
  * Tracks the `Video` frames. This method is called for each video frame in
- * order to emit `track` event.
+ * order to emit `track` event. Each result holds its `score`, the margin
+ * of the last stage of the best sub-window, its `total` number of
+ * neighbors and the name of its `classifier`.
  * @param {Uint8ClampedArray} pixels The pixels data to track.
  * @param {number} width The pixels canvas width.
  * @param {number} height The pixels canvas height.
@@ -116,26 +174,59 @@ ObjectTracker.prototype.track = function(pixels, width, height) {
     throw new Error('Object classifier not specified, try `new tracking.ObjectTracker("face")`.');
   }
 
-  let results = [];
-
-  for (const classifier of classifiers) {
-    results = results.concat(
-      ViolaJones.detect(
+  const names = this.getClassifierNames() || [];
+  const minNeighbors = this.getMinNeighbors();
+  const grouping = {
+    method: this.getGrouping(),
+    threshold: this.getGroupingThreshold()
+  };
+  const results = this.trackRegions_(pixels, width, height, function(pixels, width, height) {
+    let results = [];
+    classifiers.forEach(function(classifier, k) {
+      const evaluator = LBPCascade.isClassifier(classifier) ? LBPCascade : ViolaJones;
+      const detections = evaluator.detect(
         pixels, width, height, this.getInitialScale(), this.getScaleFactor(),
-        this.getStepSize(), this.getEdgesDensity(), classifier));
-  }
+        this.getStepSize(), this.getEdgesDensity(), classifier, grouping);
+      detections.forEach(function(detection) {
+        if (detection.total > minNeighbors) {
+          detection.classifier = names[k] || null;
+          results.push(detection);
+        }
+      });
+    }, this);
+    return results;
+  });
 
-  this.emit('track', {
+  this.emitTrackEvent_({
     data: results
   });
 };
 
 /**
- * Sets the tracker HAAR classifiers.
- * @param {TypedArray.<number>} classifiers
+ * Sets the tracker classifiers, each one evaluated by `ViolaJones` or by
+ * `LBPCascade` whether it is HAAR classifier data or an LBP classifier.
+ * @param {Array.<string|TypedArray.<number>|object>} classifiers The
+ *     classifiers, or their names in `ViolaJones.classifiers`.
  */
 ObjectTracker.prototype.setClassifiers = function(classifiers) {
-  this.classifiers = classifiers;
+  if (!classifiers) {
+    this.classifiers = classifiers;
+    this.classifierNames = null;
+    return;
+  }
+
+  this.classifierNames = classifiers.map(function(classifier) {
+    return typeof classifier === 'string' ? classifier : ViolaJones.getClassifierName(classifier);
+  });
+  this.classifiers = classifiers.map(function(classifier) {
+    if (typeof classifier === 'string') {
+      classifier = ViolaJones.classifiers[classifier];
+    }
+    if (!classifier) {
+      throw new Error('Object classifier not valid, try `new tracking.ObjectTracker("face")`.');
+    }
+    return classifier;
+  });
 };
 
 /**
@@ -146,6 +237,28 @@ ObjectTracker.prototype.setEdgesDensity = function(edgesDensity) {
   this.edgesDensity = edgesDensity;
 };
 
+/**
+ * Sets the grouping strategy of the detected sub-windows and its threshold,
+ * e.g. `setGrouping('nms', 0.3)` to keep nearby and nested objects apart.
+ * @param {?string} grouping The name of the strategy in
+ *     `ViolaJones.groupings`, see `ViolaJones.registerGrouping`, null for
+ *     `average`.
+ * @param {?number=} opt_threshold The threshold of the strategy, between 0
+ *     and 1, defaults to the one of the strategy.
+ */
+ObjectTracker.prototype.setGrouping = function(grouping, opt_threshold) {
+  grouping = grouping || 'average';
+  if (!ViolaJones.groupings[grouping]) {
+    throw new Error('Unknown grouping: ' + grouping + '.');
+  }
+  if (opt_threshold !== undefined && opt_threshold !== null &&
+      !(typeof opt_threshold === 'number' && opt_threshold >= 0 && opt_threshold <= 1)) {
+    throw new Error('Grouping threshold should be a number between 0 and 1.');
+  }
+  this.grouping = grouping;
+  this.groupingThreshold = opt_threshold === undefined ? null : opt_threshold;
+};
+
 /**
  * Sets the initial scale to start the block scaling.
  * @param {number} initialScale
@@ -154,6 +267,18 @@ ObjectTracker.prototype.setInitialScale = function(initialScale) {
   this.initialScale = initialScale;
 };
 
+/**
+ * Sets the minimum number of neighbors of a detection, the detections with
+ * at most `minNeighbors` overlapping sub-windows being rejected.
+ * @param {number} minNeighbors
+ */
+ObjectTracker.prototype.setMinNeighbors = function(minNeighbors) {
+  if (!Number.isInteger(minNeighbors) || minNeighbors < 0) {
+    throw new Error('Minimum neighbors should be a non-negative integer, try `setMinNeighbors(3)`.');
+  }
+  this.minNeighbors = minNeighbors;
+};
+
 /**
  * Sets the scale factor to scale the feature block.
  * @param {number} scaleFactor
@@ -1,7 +1,164 @@
 const EventEmitter = require('../utils').EventEmitter;
+const Region = require('../utils').Region;
+const Scale = require('../utils').Scale;
 
 class Tracker extends EventEmitter {
   track() {}
 }
 
+/**
+ * Holds the regions of interest the tracking is limited to.
+ * @type {Array.<object>}
+ * @private
+ */
+Tracker.prototype.roi_ = null;
+
+/**
+ * Holds the scale of the tracked pixels, if they are scaled down.
+ * @type {tracking.Scale}
+ * @private
+ */
+Tracker.prototype.scale_ = null;
+
+/**
+ * Gets the configuration of the tracker, i.e. its own properties without
+ * functions and event listeners.
+ * @return {object}
+ */
+Tracker.prototype.getOptions = function() {
+  let options = {};
+  Object.keys(this).forEach((key) => {
+    if (key !== 'events_' && typeof this[key] !== 'function') {
+      options[key] = this[key];
+    }
+  });
+  return options;
+};
+
+/**
+ * Emits the `track` event of a frame, its `data` mapped back into the
+ * original size when the tracked pixels are scaled, see `setScale`.
+ * Trackers override it to emit the events following it, so a
+ * `TrackerWorker` can re-emit them all on the main side from the `track`
+ * event of the worker.
+ * @param {object} event The `track` event.
+ * @protected
+ */
+Tracker.prototype.emitTrackEvent_ = function(event) {
+  this.rescaleEvent_(event);
+  this.emit('track', event);
+};
+
+/**
+ * Maps the `data` of a `track` event back into the original size, in place,
+ * when the tracked pixels are scaled.
+ * @param {object} event The `track` event.
+ * @protected
+ */
+Tracker.prototype.rescaleEvent_ = function(event) {
+  if (this.scale_) {
+    this.scale_.rescale(event.data);
+  }
+};
+
+/**
+ * Sets an internal state of the tracker, e.g. a buffer reused across
+ * frames, as an own property that is not enumerable, so it is not part of
+ * the tracker options, see `getOptions`.
+ * @param {string} key The property name.
+ * @param {*} value The property value.
+ * @protected
+ */
+Tracker.prototype.setInternal_ = function(key, value) {
+  Object.defineProperty(this, key, {
+    configurable: true,
+    writable: true,
+    value
+  });
+};
+
+/**
+ * Gets the regions of interest the tracking is limited to.
+ * @return {Array.<object>}
+ */
+Tracker.prototype.getRegionOfInterest = function() {
+  return this.roi_;
+};
+
+/**
+ * Gets the scale of the tracked pixels.
+ * @return {tracking.Scale}
+ */
+Tracker.prototype.getScale = function() {
+  return this.scale_;
+};
+
+/**
+ * Sets the regions of interest the tracking is limited to, in the
+ * coordinates of the tracked pixels. Each region is either a rectangle
+ * `{x, y, width, height}` or a polygon given as an array of `{x, y}`
+ * points.
+ * @param {object|Array.<object>} roi A region, an array of regions, or null
+ *     to track the whole frame.
+ */
+Tracker.prototype.setRegionOfInterest = function(roi) {
+  this.roi_ = roi ? Region.normalize(roi) : null;
+};
+
+/**
+ * Sets the scale of the tracked pixels, e.g. by a task tracking with the
+ * `scaled` option. The results of the `track` events are then in the
+ * original size, not in the size of the tracked pixels.
+ * @param {tracking.Scale} scale The scale, or null for results in the size
+ *     of the tracked pixels.
+ */
+Tracker.prototype.setScale = function(scale) {
+  this.setInternal_('scale_', scale);
+};
+
+/**
+ * Runs `fn` on the pixels of each region of interest, or on the whole frame
+ * when no region is set. The regions overlapping or touching each other are
+ * tracked together, on the pixels inside any of them, so a blob lying in
+ * several regions is not reported twice, nor split at their edges, see
+ * `Region.group`. The coordinates of the results are mapped back into the
+ * frame, see `Scale.transform`, and with polygons the results whose center
+ * is outside the regions are dropped.
+ * @param {Uint8ClampedArray} pixels The pixels data to track.
+ * @param {number} width The pixels canvas width.
+ * @param {number} height The pixels canvas height.
+ * @param {function} fn The function tracking `(pixels, width, height,
+ *     box)` and returning the array of results, `box` being the bounding
+ *     box of the regions in the frame.
+ * @return {Array.<object>} The results of all regions.
+ * @protected
+ */
+Tracker.prototype.trackRegions_ = function(pixels, width, height, fn) {
+  const roi = this.getRegionOfInterest();
+  if (!roi) {
+    return fn.call(this, pixels, width, height, {
+      x: 0,
+      y: 0,
+      width,
+      height
+    });
+  }
+
+  let results = [];
+  for (const group of Region.group(roi, width, height)) {
+    const box = Region.getUnionBoundingBox(group, width, height);
+    const polygons = group.some(Region.isPolygon, Region);
+    const groupResults = fn.call(this, Region.crop(pixels, width, group, box), box.width, box.height, box);
+    for (const result of Scale.transform(groupResults, 1, box.x, box.y)) {
+      const x = result.x + (result.width || 0) / 2;
+      const y = result.y + (result.height || 0) / 2;
+      if (polygons && !group.some((region) => Region.contains(region, x, y))) {
+        continue;
+      }
+      results.push(result);
+    }
+  }
+  return results;
+};
+
 module.exports = Tracker;
@@ -0,0 +1,327 @@
+const EventEmitter = require('../utils').EventEmitter;
+const FrameRate = require('../utils').FrameRate;
+
+/**
+ * TrackerSession utility to record the `track` events of a `TrackerTask`,
+ * with their timestamps and the tracker configuration, into a JSON
+ * serializable session, and to replay them later into the same listeners.
+ * Typed arrays of the events, e.g. the `masks` of a `ColorTracker`, are
+ * serialized as base64 strings.
+ *
+ * Example:
+ * const session = new tracking.TrackerSession();
+ * session.record(task);
+ * // ...
+ * session.stop();
+ * localStorage.session = JSON.stringify(session);
+ *
+ * TrackerSession.fromJSON(JSON.parse(localStorage.session)).replay(task, { speed: 4 });
+ *
+ * @constructor
+ * @param {object} opt_json Optional serialized session, see `toJSON`.
+ * @extends {EventEmitter}
+ */
+class TrackerSession extends EventEmitter {
+  constructor(opt_json) {
+    super(opt_json);
+
+    this.tracker = opt_json ? opt_json.tracker : null;
+    this.events = opt_json ? TrackerSession.decode_(opt_json.events) : [];
+  }
+}
+
+/**
+ * Holds the version of the serialized sessions. The sessions of version 1,
+ * without typed arrays, can still be read.
+ * @type {number}
+ * @static
+ */
+TrackerSession.VERSION = 2;
+
+/**
+ * Holds the typed array constructors that can be serialized.
+ * @type {Object.<string, function>}
+ * @private
+ * @static
+ */
+TrackerSession.typedArrays_ = {
+  Float32Array,
+  Float64Array,
+  Int8Array,
+  Int16Array,
+  Int32Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Uint16Array,
+  Uint32Array
+};
+
+/**
+ * Creates a session from its serialized form.
+ * @param {object|string} json The serialized session, see `toJSON`.
+ * @return {TrackerSession}
+ * @static
+ */
+TrackerSession.fromJSON = function(json) {
+  if (typeof json === 'string') {
+    json = JSON.parse(json);
+  }
+  if (!json || !(json.version >= 1 && json.version <= TrackerSession.VERSION) || !Array.isArray(json.events)) {
+    throw new Error('Session not valid, try `TrackerSession.fromJSON(session.toJSON())`.');
+  }
+  return new TrackerSession(json);
+};
+
+/**
+ * Deeply maps the plain objects and arrays of a value.
+ * @param {*} value
+ * @param {function} fn Maps the other values, e.g. typed arrays.
+ * @return {*}
+ * @private
+ * @static
+ */
+TrackerSession.map_ = function(value, fn) {
+  if (Array.isArray(value)) {
+    return value.map(function(item) {
+      return TrackerSession.map_(item, fn);
+    });
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    let result = {};
+    Object.keys(value).forEach(function(key) {
+      result[key] = TrackerSession.map_(value[key], fn);
+    });
+    return fn(result);
+  }
+  return fn(value);
+};
+
+/**
+ * Deeply copies an event, typed arrays included, so later changes do not
+ * affect the session.
+ * @param {object} event
+ * @return {object}
+ * @private
+ * @static
+ */
+TrackerSession.copy_ = function(event) {
+  return TrackerSession.map_(event, function(value) {
+    return ArrayBuffer.isView(value) ? value.slice() : value;
+  });
+};
+
+/**
+ * Encodes the typed arrays of a value as `{typedArray, base64}` objects.
+ * @param {*} value
+ * @return {*}
+ * @private
+ * @static
+ */
+TrackerSession.encode_ = function(value) {
+  return TrackerSession.map_(value, function(value) {
+    if (!ArrayBuffer.isView(value) || !TrackerSession.typedArrays_[value.constructor.name]) {
+      return value;
+    }
+    const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    let base64;
+    if (typeof Buffer !== 'undefined') {
+      base64 = Buffer.from(bytes).toString('base64');
+    } else {
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      base64 = window.btoa(binary);
+    }
+    return {
+      typedArray: value.constructor.name,
+      base64
+    };
+  });
+};
+
+/**
+ * Decodes the typed arrays encoded by `encode_`.
+ * @param {*} value
+ * @return {*}
+ * @private
+ * @static
+ */
+TrackerSession.decode_ = function(value) {
+  return TrackerSession.map_(value, function(value) {
+    const Ctor = value && TrackerSession.typedArrays_[value.typedArray];
+    if (!Ctor || typeof value.base64 !== 'string') {
+      return value;
+    }
+    let bytes;
+    if (typeof Buffer !== 'undefined') {
+      bytes = Uint8Array.from(Buffer.from(value.base64, 'base64'));
+    } else {
+      const binary = window.atob(value.base64);
+      bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+    }
+    return new Ctor(bytes.buffer);
+  });
+};
+
+/**
+ * Holds the configuration of the recorded tracker.
+ * @type {object}
+ */
+TrackerSession.prototype.tracker = null;
+
+/**
+ * Holds the recorded `{time, event}` entries, `time` being in milliseconds
+ * since the first recorded frame, from the frame timestamps `time` of the
+ * events, see `TrackerTask.prototype.setFrameTime`, or since the recording
+ * started for the events without timestamps.
+ * @type {Array.<object>}
+ */
+TrackerSession.prototype.events = null;
+
+/**
+ * Holds the task being recorded.
+ * @type {tracking.TrackerTask}
+ * @private
+ */
+TrackerSession.prototype.task_ = null;
+
+/**
+ * Holds the timer of the next event of the replay in progress.
+ * @type {number}
+ * @private
+ */
+TrackerSession.prototype.timer_ = null;
+
+/**
+ * Records the `track` events of a task, until `stop` is called. Previously
+ * recorded events are discarded.
+ * @param {tracking.TrackerTask} task
+ * @return {object} Returns itself, so calls can be chained.
+ */
+TrackerSession.prototype.record = function(task) {
+  this.stop();
+
+  const tracker = task.getTracker();
+  let options = tracker.getOptions ? tracker.getOptions() : {};
+  // Classifiers and other typed arrays are too large for a session.
+  Object.keys(options).forEach(function(key) {
+    if (ArrayBuffer.isView(options[key]) || (Array.isArray(options[key]) && ArrayBuffer.isView(options[key][0]))) {
+      delete options[key];
+    }
+  });
+
+  this.tracker = TrackerSession.copy_({
+    name: tracker.constructor.name,
+    options
+  });
+  this.events = [];
+
+  const start = FrameRate.now();
+  let firstFrameTime = null;
+  this.task_ = task;
+  this.recordTrackEvent_ = (event) => {
+    let time = FrameRate.now() - start;
+    if (typeof event.time === 'number') {
+      if (firstFrameTime === null) {
+        firstFrameTime = event.time;
+      }
+      time = (event.time - firstFrameTime) * 1000;
+    }
+    this.events.push({
+      time,
+      event: TrackerSession.copy_(event)
+    });
+  };
+  task.on('track', this.recordTrackEvent_);
+  return this;
+};
+
+/**
+ * Replays the recorded events as `track` events of the target, at the
+ * original pace divided by the `speed` option. A replay in progress is
+ * stopped first. An `end` event is emitted once all the events are
+ * replayed, right away for a session without events.
+ * @param {tracking.TrackerTask|tracking.Tracker} target The emitter whose
+ *     `track` listeners receive the events.
+ * @param {object} opt_options Optional configuration: `speed`, the replay
+ *     speed factor, defaults to 1, `Infinity` replays without delays.
+ * @return {Promise} Resolved when all the events are replayed, or when the
+ *     replay is stopped.
+ */
+TrackerSession.prototype.replay = function(target, opt_options) {
+  this.stop();
+
+  const speed = (opt_options && opt_options.speed) || 1;
+  const events = this.events;
+  const start = FrameRate.now();
+  let index = 0;
+
+  // Only the next event is scheduled, relatively to the replay start so
+  // the delays do not drift.
+  const scheduleNext_ = () => {
+    const entry = events[index];
+    const delay = speed === Infinity ? 0 : Math.max(0, start + entry.time / speed - FrameRate.now());
+    this.timer_ = setTimeout(() => {
+      target.emit('track', TrackerSession.copy_(entry.event));
+      if (!this.timer_) {
+        // Stopped by a `track` listener.
+        return;
+      }
+      if (++index < events.length) {
+        scheduleNext_();
+      } else {
+        this.stop();
+        this.emit('end');
+      }
+    }, delay);
+  };
+
+  return new Promise((resolve) => {
+    this.resolveReplay_ = resolve;
+    if (!events.length) {
+      this.stop();
+      this.emit('end');
+      return;
+    }
+    scheduleNext_();
+  });
+};
+
+/**
+ * Stops the recording or the replay in progress.
+ * @return {object} Returns itself, so calls can be chained.
+ */
+TrackerSession.prototype.stop = function() {
+  if (this.task_) {
+    this.task_.removeListener('track', this.recordTrackEvent_);
+    this.task_ = null;
+  }
+  if (this.timer_) {
+    clearTimeout(this.timer_);
+    this.timer_ = null;
+  }
+  if (this.resolveReplay_) {
+    const resolve = this.resolveReplay_;
+    this.resolveReplay_ = null;
+    resolve();
+  }
+  return this;
+};
+
+/**
+ * Serializes the session, e.g. for `JSON.stringify`.
+ * @return {object}
+ */
+TrackerSession.prototype.toJSON = function() {
+  return {
+    version: TrackerSession.VERSION,
+    tracker: this.tracker,
+    events: TrackerSession.encode_(this.events)
+  };
+};
+
+module.exports = TrackerSession;
@@ -12,6 +12,14 @@ class TrackerTask extends EventEmitter {
   }
 }
 
+/**
+ * Holds the names of the blob events of the trackers re-emitted by the
+ * task, see `ColorTracker.prototype.setAssociation`.
+ * @type {Array.<string>}
+ * @static
+ */
+TrackerTask.BLOB_EVENTS = ['enter', 'exit'];
+
 /**
  * Holds the tracker instance managed by this task.
  * @type {tracking.Tracker}
@@ -19,6 +27,34 @@ class TrackerTask extends EventEmitter {
  */
 TrackerTask.prototype.tracker_ = null;
 
+/**
+ * Holds the camera captured for this task, if any.
+ * @type {tracking.Camera}
+ * @private
+ */
+TrackerTask.prototype.camera_ = null;
+
+/**
+ * Holds the frame rate controller of this task, if any.
+ * @type {tracking.FrameRate}
+ * @private
+ */
+TrackerTask.prototype.frameRate_ = null;
+
+/**
+ * Holds the scale of the pixels tracked by this task, if any.
+ * @type {tracking.Scale}
+ * @private
+ */
+TrackerTask.prototype.scale_ = null;
+
+/**
+ * Holds the timestamp of the frame being tracked, in seconds, if known.
+ * @type {number}
+ * @private
+ */
+TrackerTask.prototype.frameTime_ = null;
+
 /**
  * Holds if the tracker task is in running.
  * @type {boolean}
@@ -26,6 +62,46 @@ TrackerTask.prototype.tracker_ = null;
  */
 TrackerTask.prototype.running_ = false;
 
+/**
+ * Holds the listeners re-emitting the events of the tracker while the task
+ * runs, by event type.
+ * @type {Object.<string, function>}
+ * @private
+ */
+TrackerTask.prototype.reemitEvents_ = null;
+
+/**
+ * Gets the camera captured for this task.
+ * @return {tracking.Camera}
+ */
+TrackerTask.prototype.getCamera = function() {
+  return this.camera_;
+};
+
+/**
+ * Gets the frame rate controller of this task.
+ * @return {tracking.FrameRate}
+ */
+TrackerTask.prototype.getFrameRate = function() {
+  return this.frameRate_;
+};
+
+/**
+ * Gets the timestamp of the frame being tracked.
+ * @return {number}
+ */
+TrackerTask.prototype.getFrameTime = function() {
+  return this.frameTime_;
+};
+
+/**
+ * Gets the scale of the pixels tracked by this task.
+ * @return {tracking.Scale}
+ */
+TrackerTask.prototype.getScale = function() {
+  return this.scale_;
+};
+
 /**
  * Gets the tracker instance managed by this task.
  * @return {tracking.Tracker}
@@ -43,6 +119,46 @@ TrackerTask.prototype.inRunning = function() {
   return this.running_;
 };
 
+/**
+ * Sets the camera captured for this task.
+ * @param {tracking.Camera} camera
+ */
+TrackerTask.prototype.setCamera = function(camera) {
+  this.camera_ = camera;
+};
+
+/**
+ * Sets the frame rate controller of this task. Its achieved frame rate is
+ * reported as the `fps` of the `track` events.
+ * @param {tracking.FrameRate} frameRate
+ */
+TrackerTask.prototype.setFrameRate = function(frameRate) {
+  this.frameRate_ = frameRate;
+};
+
+/**
+ * Sets the timestamp of the frame being tracked, e.g. the `currentTime` of a
+ * video, in seconds. It is reported as the `time` of the `track` events.
+ * @param {number} frameTime
+ */
+TrackerTask.prototype.setFrameTime = function(frameTime) {
+  this.frameTime_ = frameTime;
+};
+
+/**
+ * Sets the scale of the pixels tracked by this task. While the task runs,
+ * the scale is set on the tracker, so the coordinates of the events of both
+ * the tracker and the task are mapped back into the original size, see
+ * `tracking.Tracker.prototype.setScale`.
+ * @param {tracking.Scale} scale
+ */
+TrackerTask.prototype.setScale = function(scale) {
+  this.scale_ = scale;
+  if (this.inRunning()) {
+    this.tracker_.setScale(scale);
+  }
+};
+
 /**
  * Sets if the tracker task is in running.
  * @param {boolean} running
@@ -62,7 +178,10 @@ TrackerTask.prototype.setTracker = function(tracker) {
 
 /**
  * Emits a `run` event on the tracker task for the implementers to run any
- * child action, e.g. `requestAnimationFrame`.
+ * child action, e.g. `requestAnimationFrame`. The `track` events of the
+ * tracker, its `track:<name>` events listened to on the task, e.g. the
+ * `track:<color>` events of a `ColorTracker`, and its `enter` and `exit`
+ * blob events are re-emitted by the task.
  * @return {object} Returns itself, so calls can be chained.
  */
 TrackerTask.prototype.run = function() {
@@ -71,14 +190,55 @@ TrackerTask.prototype.run = function() {
   }
 
   this.setRunning(true);
-  this.reemitTrackEvent_ = (event) => {
-    this.emit('track', event);
+  if (this.scale_) {
+    this.tracker_.setScale(this.scale_);
+  }
+  this.reemitEvents_ = {};
+  this.reemitTrackEvent_('track');
+  Object.keys(this.events_ || {}).forEach((type) => {
+    if (type.indexOf('track:') === 0) {
+      this.reemitTrackEvent_(type);
+    }
+  });
+  this.onNewListener_ = (type) => {
+    if (typeof type === 'string' && type.indexOf('track:') === 0) {
+      this.reemitTrackEvent_(type);
+    }
   };
-  this.tracker_.on('track', this.reemitTrackEvent_);
+  this.on('newListener', this.onNewListener_);
+  TrackerTask.BLOB_EVENTS.forEach((type) => {
+    this.reemitEvents_[type] = (blob) => {
+      this.emit(type, blob);
+    };
+    this.tracker_.on(type, this.reemitEvents_[type]);
+  });
   this.emit('run');
   return this;
 };
 
+/**
+ * Re-emits a track event of the tracker on the task, once, adding the
+ * `fps` and the `time` of the frame to it.
+ * @param {string} type The event type, `track` or `track:<name>`.
+ * @private
+ */
+TrackerTask.prototype.reemitTrackEvent_ = function(type) {
+  if (this.reemitEvents_[type]) {
+    return;
+  }
+  this.reemitEvents_[type] = (event) => {
+    event = Object.assign({}, event);
+    if (this.frameRate_) {
+      event.fps = this.frameRate_.getFps();
+    }
+    if (this.frameTime_ !== null) {
+      event.time = this.frameTime_;
+    }
+    this.emit(type, event);
+  };
+  this.tracker_.on(type, this.reemitEvents_[type]);
+};
+
 /**
  * Emits a `stop` event on the tracker task for the implementers to stop any
  * child action being done, e.g. `requestAnimationFrame`.
@@ -91,8 +251,129 @@ TrackerTask.prototype.stop = function() {
 
   this.setRunning(false);
   this.emit('stop');
-  this.tracker_.removeListener('track', this.reemitTrackEvent_);
+  if (this.scale_) {
+    this.tracker_.setScale(null);
+  }
+  this.removeListener('newListener', this.onNewListener_);
+  Object.keys(this.reemitEvents_).forEach((type) => {
+    this.tracker_.removeListener(type, this.reemitEvents_[type]);
+  });
+  this.reemitEvents_ = {};
   return this;
 };
 
+/**
+ * Switches the camera of this task, while it keeps running. Failures are
+ * reported through an `error` event on the task. Once the task stopped, its
+ * camera is not captured again.
+ * @param {string} deviceId The `deviceId` of the camera, see
+ *     `tracking.Camera.list`.
+ * @return {Promise.<MediaStream>} The new stream, or null on failure or
+ *     once the task stopped.
+ */
+TrackerTask.prototype.switchCamera = function(deviceId) {
+  if (!this.camera_) {
+    this.emit('error', new Error('Camera not captured, try `tracking.track(video, tracker, { camera: true })`.'));
+    return Promise.resolve(null);
+  }
+  return this.camera_.switchCamera(deviceId).catch((err) => {
+    this.emit('error', err);
+    return null;
+  });
+};
+
+/**
+ * Returns a promise for the next `track` event emitted by the tracker
+ * managed by this task. The promise is rejected if the task stops before
+ * that.
+ *
+ * Example:
+ * const event = await task.next();
+ * // console.log(event.data);
+ *
+ * @return {Promise.<object>} The next `track` event.
+ */
+TrackerTask.prototype.next = function() {
+  return new Promise((resolve, reject) => {
+    if (!this.inRunning()) {
+      reject(new Error('Tracker task not running, try `task.run()`.'));
+      return;
+    }
+
+    const onTrack_ = (event) => {
+      this.removeListener('stop', onStop_);
+      this.removeListener('track', onTrack_);
+      resolve(event);
+    };
+    const onStop_ = () => {
+      this.removeListener('stop', onStop_);
+      this.removeListener('track', onTrack_);
+      reject(new Error('Tracker task stopped.'));
+    };
+    this.on('track', onTrack_);
+    this.on('stop', onStop_);
+  });
+};
+
+/**
+ * Iterates asynchronously over the `track` events of this task, ending when
+ * the task stops. Events emitted while the consumer is busy are queued, so
+ * none of them is lost.
+ *
+ * Example:
+ * for await (const event of task) {
+ *   // console.log(event.data);
+ * }
+ *
+ * @return {object} An async iterator of `track` events.
+ */
+TrackerTask.prototype[Symbol.asyncIterator] = function() {
+  const queue = [];
+  const pending = [];
+  let done = !this.inRunning();
+
+  const onTrack_ = (event) => {
+    if (pending.length) {
+      pending.shift()({ value: event, done: false });
+    } else {
+      queue.push(event);
+    }
+  };
+  const finish_ = () => {
+    done = true;
+    this.removeListener('track', onTrack_);
+    this.removeListener('stop', finish_);
+    while (pending.length) {
+      pending.shift()({ value: undefined, done: true });
+    }
+  };
+
+  if (!done) {
+    this.on('track', onTrack_);
+    this.on('stop', finish_);
+  }
+
+  return {
+    next() {
+      if (queue.length) {
+        return Promise.resolve({ value: queue.shift(), done: false });
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise((resolve) => {
+        pending.push(resolve);
+      });
+    },
+    return() {
+      queue.length = 0;
+      finish_();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+};
+
 module.exports = TrackerTask;
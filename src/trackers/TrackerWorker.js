@@ -0,0 +1,267 @@
+const EventEmitter = require('../utils').EventEmitter;
+const ColorTracker = require('./ColorTracker');
+const ObjectTracker = require('./ObjectTracker');
+
+/**
+ * TrackerWorker utility to run a tracker off the main thread. The pixels of
+ * each frame are transferred to a Web Worker, or to a `worker_threads`
+ * worker in Node.js, where a copy of the tracker runs. Its `track` events
+ * are re-emitted by the original tracker on the main side, so listeners and
+ * `TrackerTask` work as usual.
+ *
+ * Only the trackers registered through `TrackerWorker.registerTracker` can
+ * run in a worker. Their configuration is copied to the worker once, hence
+ * custom colors registered by `ColorTracker.registerColor` are not
+ * available there. The events following the `track` event, e.g. the blob
+ * ids and the `enter` and `exit` events of a `ColorTracker` association, are
+ * emitted on the main side, see `Tracker.prototype.emitTrackEvent_`.
+ *
+ * A `done` event is emitted once the results of a frame are back on the
+ * main side, e.g. to measure the round trip of the frames. An `error`
+ * event is emitted when a frame fails to be tracked, or when the
+ * worker itself fails, e.g. when its script can not be loaded. The worker is
+ * then terminated and no more frames are tracked.
+ * @constructor
+ * @param {tracking.Tracker} tracker The tracker instance to run in the
+ *     worker.
+ * @param {string} opt_url Optional URL of the worker script in browsers.
+ * @extends {EventEmitter}
+ */
+class TrackerWorker extends EventEmitter {
+  constructor(tracker, opt_url) {
+    super(tracker, opt_url);
+
+    if (!tracker) {
+      throw new Error('Tracker instance not specified.');
+    }
+
+    const url = opt_url || TrackerWorker.DEFAULT_URL;
+    this.tracker_ = tracker;
+    this.worker_ = TrackerWorker.createWorker_(url);
+    this.onMessage_ = this.onMessage_.bind(this);
+    this.onError_ = this.onError_.bind(this);
+
+    if (typeof this.worker_.on === 'function') {
+      this.worker_.on('message', this.onMessage_);
+      this.worker_.on('error', this.onError_);
+    } else {
+      this.worker_.onmessage = (event) => {
+        this.onMessage_(event.data);
+      };
+      this.worker_.onerror = (event) => {
+        event.preventDefault();
+        this.onError_(new Error(event.message || 'Worker script failed to load: ' + url + '.'));
+      };
+    }
+
+    this.worker_.postMessage({
+      type: 'config',
+      tracker: TrackerWorker.serializeTracker(tracker)
+    });
+  }
+}
+
+/**
+ * Holds the default URL of the worker script in browsers.
+ * @type {string}
+ * @default 'tracking-worker.js'
+ * @static
+ */
+TrackerWorker.DEFAULT_URL = 'tracking-worker.js';
+
+/**
+ * Holds the trackers that can run in a worker.
+ * @type {Object.<string, function>}
+ * @private
+ * @static
+ */
+TrackerWorker.trackers_ = {};
+
+/**
+ * Registers a tracker constructor that can run in a worker. It needs to be
+ * registered in the worker script as well.
+ * @param {string} name The tracker name.
+ * @param {function} ctor The tracker constructor.
+ * @static
+ */
+TrackerWorker.registerTracker = function(name, ctor) {
+  TrackerWorker.trackers_[name] = ctor;
+};
+
+/**
+ * Gets the registered tracker constructor.
+ * @param {string} name The tracker name.
+ * @return {function} The tracker constructor.
+ * @static
+ */
+TrackerWorker.getTracker = function(name) {
+  return TrackerWorker.trackers_[name];
+};
+
+/**
+ * Serializes a tracker to a message that can be posted to a worker, see
+ * `Tracker.prototype.getOptions`.
+ * @param {tracking.Tracker} tracker
+ * @return {object} The serialized tracker.
+ * @static
+ */
+TrackerWorker.serializeTracker = function(tracker) {
+  let name = null;
+  Object.keys(TrackerWorker.trackers_).forEach(function(key) {
+    if (tracker.constructor === TrackerWorker.trackers_[key]) {
+      name = key;
+    }
+  });
+  if (!name) {
+    throw new Error('Tracker not supported in a worker, try `TrackerWorker.registerTracker(name, ctor)`.');
+  }
+
+  return {
+    name,
+    options: tracker.getOptions()
+  };
+};
+
+/**
+ * Deserializes a tracker from a message posted by `serializeTracker`.
+ * @param {object} message
+ * @return {tracking.Tracker}
+ * @static
+ */
+TrackerWorker.deserializeTracker = function(message) {
+  const Ctor = TrackerWorker.getTracker(message.name);
+  if (!Ctor) {
+    throw new Error('Tracker "' + message.name + '" not registered in the worker.');
+  }
+  return Object.assign(new Ctor(), message.options);
+};
+
+/**
+ * Creates the underlying worker, a `worker_threads` worker in Node.js or a
+ * Web Worker in browsers.
+ * @param {string} url The worker script URL in browsers.
+ * @return {object}
+ * @private
+ * @static
+ */
+TrackerWorker.createWorker_ = function(url) {
+  if (typeof window === 'undefined') {
+    const Worker = require('worker_threads').Worker;
+    return new Worker(__dirname + '/../worker.js');
+  }
+  return new window.Worker(url);
+};
+
+/**
+ * Holds the tracker instance whose events are re-emitted.
+ * @type {tracking.Tracker}
+ * @private
+ */
+TrackerWorker.prototype.tracker_ = null;
+
+/**
+ * Holds the underlying worker.
+ * @type {object}
+ * @private
+ */
+TrackerWorker.prototype.worker_ = null;
+
+/**
+ * Holds if the worker is tracking a frame.
+ * @type {boolean}
+ * @private
+ */
+TrackerWorker.prototype.busy_ = false;
+
+/**
+ * Returns true if the worker is tracking a frame, false otherwise.
+ * @return {boolean}
+ */
+TrackerWorker.prototype.isBusy = function() {
+  return this.busy_;
+};
+
+/**
+ * Handles the messages posted by the worker.
+ * @param {object} message
+ * @private
+ */
+TrackerWorker.prototype.onMessage_ = function(message) {
+  switch (message.type) {
+    case 'track':
+      this.tracker_.emitTrackEvent_(message.event);
+      break;
+    case 'done':
+      this.busy_ = false;
+      this.emit('done');
+      break;
+    case 'error':
+      this.busy_ = false;
+      this.emit('error', new Error(message.message));
+      break;
+  }
+};
+
+/**
+ * Handles the failures of the worker itself, terminating it.
+ * @param {Error} err
+ * @private
+ */
+TrackerWorker.prototype.onError_ = function(err) {
+  this.terminate();
+  this.emit('error', err);
+};
+
+/**
+ * Returns true if the worker is terminated, false otherwise.
+ * @return {boolean}
+ */
+TrackerWorker.prototype.isTerminated = function() {
+  return !this.worker_;
+};
+
+/**
+ * Terminates the underlying worker.
+ */
+TrackerWorker.prototype.terminate = function() {
+  if (this.worker_) {
+    this.worker_.terminate();
+    this.worker_ = null;
+  }
+  this.busy_ = false;
+};
+
+/**
+ * Transfers the pixels to the worker to be tracked. The pixels buffer is
+ * not usable afterwards. Frames are dropped while the worker is busy.
+ * @param {Uint8ClampedArray} pixels The pixels data to track.
+ * @param {number} width The pixels canvas width.
+ * @param {number} height The pixels canvas height.
+ * @param {Array.<object>} opt_roi Optional regions of interest of this
+ *     frame, instead of the ones of the tracker.
+ * @return {boolean} True if the frame was transferred, false if it was
+ *     dropped, also when the worker is terminated.
+ */
+TrackerWorker.prototype.track = function(pixels, width, height, opt_roi) {
+  if (this.busy_ || !this.worker_) {
+    return false;
+  }
+
+  this.busy_ = true;
+  this.worker_.postMessage({
+    type: 'track',
+    pixels,
+    width,
+    height,
+    roi: opt_roi || null
+  }, [pixels.buffer]);
+  return true;
+};
+
+// Default trackers
+//===================
+
+TrackerWorker.registerTracker('ColorTracker', ColorTracker);
+TrackerWorker.registerTracker('ObjectTracker', ObjectTracker);
+
+module.exports = TrackerWorker;
@@ -1,13 +1,19 @@
+const BlobAssociation = require('./BlobAssociation');
 const ColorTracker = require('./ColorTracker');
 const ObjectTracker = require('./ObjectTracker');
 const Tracker = require('./Tracker');
+const TrackerSession = require('./TrackerSession');
 const TrackerTask = require('./TrackerTask');
+const TrackerWorker = require('./TrackerWorker');
 
 const trackers = {
+  BlobAssociation,
   ColorTracker,
   ObjectTracker,
   Tracker,
-  TrackerTask
+  TrackerSession,
+  TrackerTask,
+  TrackerWorker
 };
 
 module.exports = trackers;
@@ -1,29 +1,45 @@
 const { Brief, Fast } = require('./features');
 const { TrackingMath, Matrix } = require('./math');
-const { ColorTracker, ObjectTracker, Tracker, TrackerTask } = require('./trackers');
-const { haar, ViolaJones } = require('./training');
-const { Canvas, DisjointSet, EventEmitter, Image, Scale } = require('./utils');
+const {
+  BlobAssociation, ColorTracker, ObjectTracker, Tracker, TrackerSession, TrackerTask, TrackerWorker
+} = require('./trackers');
+const { haar, HaarTrainer, LBPCascade, OpenCVCascade, ViolaJones } = require('./training');
+const {
+  Camera, Canvas, Color, DisjointSet, EventEmitter, FrameRate, Image, Region, Scale, Source
+} = require('./utils');
 
-if (typeof window === 'undefined') { window = {}; }
-if (typeof navigator === 'undefined') { navigator = {}; }
+// Only attach to `window` in browsers, in Node.js the library is exported
+// without touching any global.
+const root = typeof window === 'undefined' ? {} : window;
 
-window.tracking = window.tracking || {};
+root.tracking = root.tracking || {};
 
-let tracking = Object.assign(window.tracking, {
+let tracking = Object.assign(root.tracking, {
+  BlobAssociation,
   Brief,
+  Camera,
   Canvas,
+  Color,
   ColorTracker,
   DisjointSet,
   EventEmitter,
   Fast,
+  FrameRate,
   haar,
+  HaarTrainer,
   Image,
+  LBPCascade,
   Math: TrackingMath,
   Matrix,
   ObjectTracker,
+  OpenCVCascade,
+  Region,
   Scale,
+  Source,
   Tracker,
+  TrackerSession,
   TrackerTask,
+  TrackerWorker,
   ViolaJones
 });
 
@@ -76,24 +92,30 @@ tracking.inherits = function(childCtor, parentCtor) {
 
 /**
  * Captures the user camera when tracking a video element and set its source
- * to the camera stream.
+ * to the camera stream. Failures are reported through an `error` event on
+ * the task.
  * @param {HTMLVideoElement} element Canvas element to track.
- * @param {object} opt_options Optional configuration to the tracker.
+ * @param {object} opt_options Optional configuration to the tracker, see
+ *     `tracking.Camera.getConstraints` for the camera options.
+ * @param {tracking.TrackerTask} task The task tracking the video element.
+ * @return {Promise.<MediaStream>} The camera stream, or null on failure.
  */
-tracking.initUserMedia_ = function(element, opt_options) {
-  window.navigator.getUserMedia({
-      video: true,
-      audio: !!(opt_options && opt_options.audio)
-    }, function(stream) {
-      try {
-        element.src = window.URL.createObjectURL(stream);
-      } catch (err) {
-        element.src = stream;
-      }
-    }, function() {
-      throw Error('Cannot capture user camera.');
-    }
-  );
+tracking.initUserMedia_ = function(element, opt_options, task) {
+  const camera = new Camera(element, opt_options);
+  task.setCamera(camera);
+  return camera.start().catch(function(err) {
+    task.emit('error', err);
+    return null;
+  });
+};
+
+/**
+ * Lists the available cameras, which can be passed as the `deviceId` option
+ * or to `TrackerTask.switchCamera`.
+ * @return {Promise.<Array.<MediaDeviceInfo>>} The video input devices.
+ */
+tracking.listCameras = function() {
+  return Camera.list();
 };
 
 /**
@@ -121,11 +143,16 @@ tracking.isWindow = function(o) {
  *     specified `document` is used as root element.
  * @return {HTMLElement} The first dom element that matches to the selector.
  *     If not found, returns `null`.
+ * @throws {Error} If `selector` is a string and there is no `document`, e.g.
+ *     in Node.js.
  */
 tracking.one = function(selector, opt_element) {
   if (this.isNode(selector)) {
     return selector;
   }
+  if (!opt_element && typeof document === 'undefined') {
+    throw new Error('Selectors are only supported in browsers, try `tracking.trackPixels` or a frame source.');
+  }
   return (opt_element || document).querySelector(selector);
 };
 
@@ -147,13 +174,31 @@ tracking.one = function(selector, opt_element) {
    *   // console.log(event.data[0].x, event.data[0].y)
    * });
  *
- * @param {HTMLElement} element The element to track, canvas, image or
- *     video.
+ * With the `offline` option, videos are tracked frame by frame instead of
+ * in real time, see `tracking.trackVideoOffline_`.
+ *
+ * The `roi` option limits the tracking of the returned task to one or more
+ * regions of interest, see `tracking.Tracker.prototype.setRegionOfInterest`.
+ * The regions of the tracker itself are restored after each frame.
+ *
+ * Frames that are not dom nodes, i.e. `ImageData`, `ImageBitmap`,
+ * `OffscreenCanvas`, `VideoFrame` or plain `{data, width, height}` objects,
+ * are tracked directly through `tracking.Source`.
+ *
+ * @param {HTMLElement|ImageData|ImageBitmap|OffscreenCanvas|VideoFrame|object} element
+ *     The element to track, canvas, image, video or frame source.
  * @param {tracking.Tracker} tracker The tracker instance used to track the
  *     element.
  * @param {object} opt_options Optional configuration to the tracker.
  */
 tracking.track = function(element, tracker, opt_options) {
+  if (Source.isSupported(element)) {
+    if (!tracker) {
+      throw new Error('Tracker not specified, try `tracking.track(element, new tracking.FaceTracker())`.');
+    }
+    return this.trackSource_(element, tracker, opt_options);
+  }
+
   element = tracking.one(element);
   if (!element) {
     throw new Error('Element not found, try a different element or selector.');
@@ -168,10 +213,8 @@ tracking.track = function(element, tracker, opt_options) {
     case 'img':
       return this.trackImg_(element, tracker, opt_options);
     case 'video':
-      if (opt_options) {
-        if (opt_options.camera) {
-          this.initUserMedia_(element, opt_options);
-        }
+      if (opt_options && opt_options.offline) {
+        return this.trackVideoOffline_(element, tracker, opt_options);
       }
       return this.trackVideo_(element, tracker, opt_options);
     default:
@@ -179,6 +222,114 @@ tracking.track = function(element, tracker, opt_options) {
   }
 };
 
+/**
+ * Tracks an element once based on the specified `tracker` instance and
+ * returns a promise for the first `track` event. The underlying task is
+ * stopped as soon as the event is received, which makes it handy for
+ * images. The promise is rejected if the element can not be tracked or if
+ * the task emits an `error` event, e.g. when an image fails to load or the
+ * camera can not be captured.
+ *
+ * Example:
+ * const event = await tracking.detect('#img', new tracking.ObjectTracker('face'));
+ * // console.log(event.data);
+ *
+ * @param {HTMLElement} element The element to track, canvas, image or
+ *     video.
+ * @param {tracking.Tracker} tracker The tracker instance used to track the
+ *     element.
+ * @param {object} opt_options Optional configuration to the tracker.
+ * @return {Promise.<object>} The first `track` event.
+ */
+tracking.detect = function(element, tracker, opt_options) {
+  return new Promise((resolve, reject) => {
+    let task = null;
+    let detected = false;
+
+    const finish_ = function() {
+      tracker.removeListener('track', onTrack_);
+      if (task) {
+        task.removeListener('error', onError_);
+        task.stop();
+      }
+    };
+    const onTrack_ = function(event) {
+      detected = true;
+      finish_();
+      resolve(event);
+    };
+    const onError_ = function(err) {
+      finish_();
+      reject(err);
+    };
+
+    if (tracker) {
+      tracker.on('track', onTrack_);
+    }
+    try {
+      task = this.track(element, tracker, opt_options);
+    } catch (err) {
+      if (tracker) {
+        tracker.removeListener('track', onTrack_);
+      }
+      reject(err);
+      return;
+    }
+
+    // Canvas elements are tracked synchronously, before the task is known.
+    if (detected) {
+      task.stop();
+      return;
+    }
+    task.on('error', onError_);
+  });
+};
+
+/**
+ * Tracks a raw RGBA pixel buffer based on the specified `tracker` instance
+ * and returns the tracked results directly. This method does not use any
+ * browser global, so it can be used in Node.js, e.g. with pixels decoded
+ * from an image file.
+ *
+ * Example:
+ * const tracker = new tracking.ColorTracker('magenta');
+ * const rects = tracking.trackPixels(pixels, width, height, tracker);
+ *
+ * @param {Uint8ClampedArray|Uint8Array|Buffer|ArrayBuffer} pixels The pixels
+ *     in a linear [r,g,b,a,...] array.
+ * @param {number} width The pixels width.
+ * @param {number} height The pixels height.
+ * @param {tracking.Tracker} tracker The tracker instance used to track the
+ *     pixels.
+ * @return {array} The `data` of the `track` event emitted by the tracker.
+ */
+tracking.trackPixels = function(pixels, width, height, tracker) {
+  if (!pixels) {
+    throw new Error('Pixels not specified, try `tracking.trackPixels(pixels, width, height, tracker)`.');
+  }
+  if (!tracker) {
+    throw new Error('Tracker not specified, try `tracking.trackPixels(pixels, width, height, tracker)`.');
+  }
+  if (pixels instanceof ArrayBuffer) {
+    pixels = new Uint8ClampedArray(pixels);
+  }
+  if (pixels.length < width * height * 4) {
+    throw new Error('Pixels length does not match the RGBA size of ' + width + 'x' + height + '.');
+  }
+
+  let result = [];
+  const onTrack_ = function(event) {
+    result = event.data;
+  };
+  tracker.on('track', onTrack_);
+  try {
+    tracker.track(pixels, width, height);
+  } finally {
+    tracker.removeListener('track', onTrack_);
+  }
+  return result;
+};
+
 /**
  * Tracks a canvas element based on the specified `tracker` instance and
  * returns a `TrackerTask` for this track.
@@ -189,30 +340,108 @@ tracking.track = function(element, tracker, opt_options) {
  * @return {tracking.TrackerTask}
  * @private
  */
-tracking.trackCanvas_ = function(element, tracker) {
+tracking.trackCanvas_ = function(element, tracker, opt_options) {
   const task = new tracking.TrackerTask(tracker);
   task.on('run', () => {
-    this.trackCanvasInternal_(element, tracker);
+    this.trackCanvasInternal_(element, tracker, opt_options && opt_options.roi);
   });
   return task.run();
 };
 
+/**
+ * Tracks a frame source based on the specified `tracker` instance and
+ * returns a `TrackerTask` for this track.
+ * @param {ImageData|ImageBitmap|OffscreenCanvas|VideoFrame|object} source
+ *     Frame source to track.
+ * @param {tracking.Tracker} tracker The tracker instance used to track the
+ *     source.
+ * @param {object} opt_options Optional configuration to the tracker.
+ * @return {tracking.TrackerTask}
+ * @private
+ */
+tracking.trackSource_ = function(source, tracker, opt_options) {
+  const task = new tracking.TrackerTask(tracker);
+  task.on('run', function() {
+    const pixels = Source.getPixels(source);
+    tracking.withRegionOfInterest_(tracker, opt_options && opt_options.roi, function() {
+      tracker.track(pixels.data, pixels.width, pixels.height);
+    });
+  });
+  return task.run();
+};
+
+/**
+ * Runs `fn` with the regions of interest of a task set on the tracker,
+ * restoring the previous regions of the tracker afterwards, so they do not
+ * leak into other tasks.
+ * @param {tracking.Tracker} tracker The tracker instance.
+ * @param {object|Array.<object>} roi The regions of interest of the task, or
+ *     null to keep the ones of the tracker.
+ * @param {function} fn The function tracking the pixels.
+ * @private
+ */
+tracking.withRegionOfInterest_ = function(tracker, roi, fn) {
+  if (!roi) {
+    fn();
+    return;
+  }
+  const previous = tracker.getRegionOfInterest();
+  tracker.setRegionOfInterest(roi);
+  try {
+    fn();
+  } finally {
+    tracker.setRegionOfInterest(previous);
+  }
+};
+
+/**
+ * Reads the pixels of a canvas. With regions of interest, only their
+ * bounding box is read and the other pixels are transparent black.
+ * @param {CanvasRenderingContext2D} context The canvas context.
+ * @param {number} width The canvas width.
+ * @param {number} height The canvas height.
+ * @param {Array.<object>} roi The regions of interest, or null to read the
+ *     whole canvas.
+ * @return {Uint8ClampedArray} The pixels of the whole canvas.
+ * @private
+ */
+tracking.readPixels_ = function(context, width, height, roi) {
+  if (!roi) {
+    return context.getImageData(0, 0, width, height).data;
+  }
+
+  let pixels = new Uint8ClampedArray(width * height * 4);
+  const box = Region.getUnionBoundingBox(roi, width, height);
+  if (box.width && box.height) {
+    const data = context.getImageData(box.x, box.y, box.width, box.height).data;
+    for (let i = 0; i < box.height; i++) {
+      pixels.set(data.subarray(i * box.width * 4, (i + 1) * box.width * 4), ((box.y + i) * width + box.x) * 4);
+    }
+  }
+  return pixels;
+};
+
 /**
  * Tracks a canvas element based on the specified `tracker` instance. This
  * method extract the pixel information of the input element to pass to the
- * `tracker` instance.
+ * `tracker` instance. With regions of interest, of the task or of the
+ * tracker, only their bounding box is read from the canvas.
  * @param {HTMLCanvasElement} element Canvas element to track.
  * @param {tracking.Tracker} tracker The tracker instance used to track the
  *     element.
- * @param {object} opt_options Optional configuration to the tracker.
+ * @param {object|Array.<object>} opt_roi Optional regions of interest of
+ *     the task.
  * @private
  */
-tracking.trackCanvasInternal_ = function(element, tracker) {
+tracking.trackCanvasInternal_ = function(element, tracker, opt_roi) {
   const width = element.width;
   const height = element.height;
   const context = element.getContext('2d');
-  const imageData = context.getImageData(0, 0, width, height);
-  tracker.track(imageData.data, width, height);
+  const roi = opt_roi ? Region.normalize(opt_roi) : tracker.getRegionOfInterest();
+  const pixels = tracking.readPixels_(context, width, height, roi);
+  tracking.withRegionOfInterest_(tracker, opt_roi, function() {
+    tracker.track(pixels, width, height);
+  });
 };
 
 /**
@@ -225,7 +454,7 @@ tracking.trackCanvasInternal_ = function(element, tracker) {
  * @param {object} opt_options Optional configuration to the tracker.
  * @private
  */
-tracking.trackImg_ = function(element, tracker) {
+tracking.trackImg_ = function(element, tracker, opt_options) {
   const width = element.width;
   const height = element.height;
   const canvas = document.createElement('canvas');
@@ -236,7 +465,9 @@ tracking.trackImg_ = function(element, tracker) {
   const task = new tracking.TrackerTask(tracker);
   task.on('run', function() {
     Canvas.loadImage(canvas, element.src, 0, 0, width, height, function() {
-      tracking.trackCanvasInternal_(canvas, tracker);
+      tracking.trackCanvasInternal_(canvas, tracker, opt_options && opt_options.roi);
+    }, function(err) {
+      task.emit('error', err);
     });
   });
   return task.run();
@@ -246,7 +477,15 @@ tracking.trackImg_ = function(element, tracker) {
  * Tracks a video element based on the specified `tracker` instance. This
  * method extract the pixel information of the input element to pass to the
  * `tracker` instance. The `tracker.track(pixels, width, height)` will be in
- * a `requestAnimationFrame` loop in order to track all video frames.
+ * a `requestAnimationFrame` loop in order to track all video frames. With
+ * the `worker` option the tracker runs in a `tracking.TrackerWorker`, and
+ * frames are dropped while the worker is busy. The frames are throttled to
+ * the `fps` option by a `tracking.FrameRate`, which with the `adaptive`
+ * option lowers the frame rate when tracking takes more than the `budget`
+ * fraction of time, the tracking of a frame in the worker lasting from its
+ * transfer until its results are back. With the `scaled` option the frames are scaled down to
+ * at most `pixelBudget` pixels, and the results are mapped back into the
+ * video element size.
  * @param {HTMLVideoElement} element Canvas element to track.
  * @param {tracking.Tracker} tracker The tracker instance used to track the
  *     element.
@@ -254,26 +493,37 @@ tracking.trackImg_ = function(element, tracker) {
  * @private
  */
 tracking.trackVideo_ = function(element, tracker, opt_options) {
+  opt_options = opt_options || {};
   const canvas = document.createElement('canvas');
   const context = canvas.getContext('2d');
   let width;
   let height;
-  const fps = opt_options.fps || 60;
-  const interval = 1000 / fps;
+  const frameRate = new FrameRate(opt_options);
+  const scale = new Scale(opt_options.pixelBudget);
+  let roi = null;
 
   const resizeCanvas_ = function() {
     if (opt_options.scaled) {
-      tracking.Scale.adjustScale(element.offsetWidth, element.offsetHeight);
+      scale.adjustScale(element.offsetWidth, element.offsetHeight);
+    }
+    canvas.width = width = Math.round(element.offsetWidth * scale.scale);
+    canvas.height = height = Math.round(element.offsetHeight * scale.scale);
+    if (opt_options.roi) {
+      roi = scale.scaleRegions(Region.normalize(opt_options.roi));
     }
-    canvas.width = width = element.offsetWidth * tracking.Scale.scale;
-    canvas.height = height = element.offsetHeight * tracking.Scale.scale;
   };
   resizeCanvas_();
   element.addEventListener('resize', resizeCanvas_);
 
   let requestId;
-  let now, then;
+  let worker = null;
+  // The time the pending frame was posted to the worker, measured when its
+  // results are back as the worker tracks it off the main thread.
+  let postTime = null;
   const trackAnimationFrame_ = function() {
+    if (worker && (worker.isBusy() || worker.isTerminated())) {
+      return false;
+    }
     if (element.readyState === element.HAVE_ENOUGH_DATA) {
       try {
         // Firefox v~30.0 gets confused with the video readyState firing an
@@ -281,42 +531,200 @@ tracking.trackVideo_ = function(element, tracker, opt_options) {
         // hence keep trying to read it until resolved.
         context.drawImage(element, 0, 0, width, height);
       } catch (err) {}
-      tracking.trackCanvasInternal_(canvas, tracker);
+      task.setFrameTime(element.currentTime);
+      if (worker) {
+        worker.track(tracking.readPixels_(context, width, height, roi || tracker.getRegionOfInterest()), width,
+          height, roi);
+      } else {
+        tracking.trackCanvasInternal_(canvas, tracker, roi);
+      }
+      return true;
     }
+    return false;
   };
   const requestAnimationFrame_ = function() {
     requestId = window.requestAnimationFrame(function() {
-      now = Date.now();
-      const elapsed = now - then;
-      if (elapsed > interval) {
-        then = now - (elapsed % interval);
-        trackAnimationFrame_();
+      const now = FrameRate.now();
+      if (frameRate.shouldTrack(now)) {
+        if (trackAnimationFrame_()) {
+          frameRate.tick(now);
+          if (worker) {
+            postTime = now;
+          } else {
+            frameRate.measure(FrameRate.now() - now);
+          }
+        }
+      }
+      // The task may be stopped by a `track` listener of this frame.
+      if (task.inRunning()) {
+        requestAnimationFrame_();
       }
-      requestAnimationFrame_();
     });
   };
 
   const task = new tracking.TrackerTask(tracker);
+  task.setFrameRate(frameRate);
+  task.setScale(scale);
   task.on('stop', function() {
     window.cancelAnimationFrame(requestId);
+    if (task.getCamera()) {
+      task.getCamera().stop();
+    }
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
   });
+  if (opt_options.camera) {
+    tracking.initUserMedia_(element, opt_options, task);
+  }
   task.on('run', function() {
-    then = Date.now();
+    if (opt_options.worker) {
+      worker = new tracking.TrackerWorker(tracker, opt_options.workerUrl);
+      worker.on('done', function() {
+        if (postTime !== null) {
+          frameRate.measure(FrameRate.now() - postTime);
+          postTime = null;
+        }
+      });
+      worker.on('error', function(err) {
+        postTime = null;
+        task.emit('error', err);
+      });
+    }
+    frameRate.reset(FrameRate.now());
     requestAnimationFrame_();
   });
   return task.run();
 };
 
+/**
+ * Tracks a video element frame by frame, independently of the playback
+ * timing. The video is paused and its `currentTime` is seeked every
+ * `interval` seconds (defaults to 1/30) from the `start` to the `end`
+ * options (defaults to the whole video), running the `tracker` on each
+ * decoded frame. The `end` option is required for live or streamed videos,
+ * whose duration is not finite, otherwise the task emits an `error` event
+ * and stops. The task emits a `progress` event for each frame, the last one
+ * with a `progress` of 1, and a `complete` event holding the timeline of
+ * `{time, data}` results, after which it stops. Stopping the task cancels
+ * the processing. Results are in the intrinsic video size, also with the
+ * `scaled` option.
+ * @param {HTMLVideoElement} element Video element to track.
+ * @param {tracking.Tracker} tracker The tracker instance used to track the
+ *     element.
+ * @param {object} opt_options Optional configuration to the tracker.
+ * @return {tracking.TrackerTask}
+ * @private
+ */
+tracking.trackVideoOffline_ = function(element, tracker, opt_options) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const interval = opt_options.interval || 1 / 30;
+  const scale = new Scale(opt_options.pixelBudget);
+  let roi = null;
+  let timeline;
+  let index;
+  let start;
+  let frames;
+
+  const task = new tracking.TrackerTask(tracker);
+  task.setScale(scale);
+
+  const getTime_ = function() {
+    return start + index * interval;
+  };
+  const seek_ = function() {
+    const time = getTime_();
+    if (index >= frames) {
+      task.emit('complete', {
+        timeline
+      });
+      task.stop();
+      return;
+    }
+    // Seeking to the current time may not fire a `seeked` event. The frame
+    // is still tracked asynchronously, so `progress` listeners can be added.
+    if (Math.abs(element.currentTime - time) < 1e-6 && element.readyState >= element.HAVE_CURRENT_DATA) {
+      Promise.resolve().then(trackFrame_);
+      return;
+    }
+    element.currentTime = time;
+  };
+  const trackFrame_ = function() {
+    if (!task.inRunning()) {
+      return;
+    }
+    const time = getTime_();
+    const width = canvas.width;
+    const height = canvas.height;
+    context.drawImage(element, 0, 0, width, height);
+    task.setFrameTime(time);
+    const pixels = tracking.readPixels_(context, width, height, roi || tracker.getRegionOfInterest());
+    let data;
+    tracking.withRegionOfInterest_(tracker, roi, function() {
+      data = tracking.trackPixels(pixels, width, height, tracker);
+    });
+    timeline.push({
+      time,
+      data: Scale.copy(data)
+    });
+    task.emit('progress', {
+      time,
+      progress: (index + 1) / frames
+    });
+    index++;
+    seek_();
+  };
+  const start_ = function() {
+    element.removeEventListener('loadedmetadata', start_);
+    if (opt_options.scaled) {
+      scale.adjustScale(element.videoWidth, element.videoHeight);
+    }
+    canvas.width = Math.round(element.videoWidth * scale.scale);
+    canvas.height = Math.round(element.videoHeight * scale.scale);
+    if (opt_options.roi) {
+      roi = scale.scaleRegions(Region.normalize(opt_options.roi));
+    }
+
+    if (!opt_options.end && !isFinite(element.duration)) {
+      // Asynchronously, so `error` listeners can be added.
+      Promise.resolve().then(function() {
+        task.emit('error', new Error('Video duration not finite, try the `end` option.'));
+        task.stop();
+      });
+      return;
+    }
+    start = opt_options.start || 0;
+    const end = Math.min(opt_options.end || Infinity, element.duration);
+    // The frames are at `start + index * interval`, before `end`.
+    frames = Math.max(0, Math.ceil((end - start) / interval - 1e-9));
+    timeline = [];
+    index = 0;
+    seek_();
+  };
+
+  task.on('stop', function() {
+    element.removeEventListener('loadedmetadata', start_);
+    element.removeEventListener('seeked', trackFrame_);
+  });
+  task.on('run', function() {
+    element.pause();
+    element.addEventListener('seeked', trackFrame_);
+    if (element.readyState >= element.HAVE_METADATA) {
+      start_();
+    } else {
+      element.addEventListener('loadedmetadata', start_);
+    }
+  });
+  return task.run();
+};
+
 // Browser polyfills
 //===================
 
-if (!window.URL) {
+if (typeof window !== 'undefined' && !window.URL) {
   window.URL = window.URL || window.webkitURL || window.msURL || window.oURL;
 }
 
-if (!navigator.getUserMedia) {
-  navigator.getUserMedia = navigator.getUserMedia || navigator.webkitGetUserMedia ||
-    navigator.mozGetUserMedia || navigator.msGetUserMedia;
-}
-
-module.exports = window.tracking;
+module.exports = tracking;
@@ -0,0 +1,520 @@
+const Image = require('../utils').Image;
+
+/**
+ * HaarTrainer utility to train HAAR cascade classifiers from sample images,
+ * using Gentle AdaBoost of decision stumps for each stage, as OpenCV does.
+ * The cascades are output in the flat array layout of `ViolaJones`.
+ * @static
+ * @constructor
+ */
+let HaarTrainer = {};
+
+/**
+ * Holds the default training options.
+ * @type {object}
+ * @static
+ */
+HaarTrainer.defaults = {
+  stages: 10,
+  minHitRate: 0.995,
+  maxFalseAlarmRate: 0.5,
+  maxWeakCount: 50,
+  maxFeatures: 2000,
+  negativeCount: 0,
+  negativeStep: 4
+};
+
+/**
+ * Enumerates the upright HAAR-like features of a window: the two and three
+ * rectangles edge and line features, horizontal and vertical, and the four
+ * rectangles diagonal feature. The rectangles are weighted as in OpenCV,
+ * the whole feature area by -1 and the inner rectangles by the ratio of the
+ * areas.
+ * @param {number} width The window width.
+ * @param {number} height The window height.
+ * @return {Array.<Array.<Array.<number>>>} The features, each one holding
+ *     its `[left, top, width, height, weight]` rectangles.
+ * @static
+ */
+HaarTrainer.enumerateFeatures = function(width, height) {
+  let features = [];
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      for (let dx = 1; dx <= width; dx++) {
+        for (let dy = 1; dy <= height; dy++) {
+          if (x + dx * 2 <= width && y + dy <= height) {
+            features.push([[x, y, dx * 2, dy, -1], [x + dx, y, dx, dy, 2]]);
+          }
+          if (x + dx <= width && y + dy * 2 <= height) {
+            features.push([[x, y, dx, dy * 2, -1], [x, y + dy, dx, dy, 2]]);
+          }
+          if (x + dx * 3 <= width && y + dy <= height) {
+            features.push([[x, y, dx * 3, dy, -1], [x + dx, y, dx, dy, 3]]);
+          }
+          if (x + dx <= width && y + dy * 3 <= height) {
+            features.push([[x, y, dx, dy * 3, -1], [x, y + dy, dx, dy, 3]]);
+          }
+          if (x + dx * 2 <= width && y + dy * 2 <= height) {
+            features.push([[x, y, dx * 2, dy * 2, -1], [x, y, dx, dy, 2], [x + dx, y + dy, dx, dy, 2]]);
+          }
+        }
+      }
+    }
+  }
+  return features;
+};
+
+/**
+ * Computes the integral images of an image. The summed area tables of
+ * `Image.computeIntegralImage` hold inclusive sums, so a window at `i, j`
+ * covers the pixels from `i + 1, j + 1`.
+ * @param {{pixels: array, data: array, width: number, height: number}}
+ *     image The image, its pixels either in `pixels` or `data`.
+ * @return {{integral: Int32Array, integralSquare: Int32Array, width:
+ *     number, height: number}}
+ * @private
+ * @static
+ */
+HaarTrainer.integrate_ = function(image) {
+  const length = image.width * image.height;
+  let integral = new Int32Array(length);
+  let integralSquare = new Int32Array(length);
+  Image.computeIntegralImage(image.pixels || image.data, image.width, image.height, integral, integralSquare);
+  return {
+    integral,
+    integralSquare,
+    width: image.width,
+    height: image.height
+  };
+};
+
+/**
+ * Creates the training sample of a window of an integrated image, holding
+ * the standard deviation of the window the feature values are normalized
+ * by, as computed by `ViolaJones.evalStages_`.
+ * @param {object} integrated The integrated image.
+ * @param {number} i Vertical position of the window.
+ * @param {number} j Horizontal position of the window.
+ * @param {number} width The window width.
+ * @param {number} height The window height.
+ * @return {object}
+ * @private
+ * @static
+ */
+HaarTrainer.createSample_ = function(integrated, i, j, width, height) {
+  const inverseArea = 1 / (width * height);
+  const ii = integrated.integral;
+  const iiSquare = integrated.integralSquare;
+  const wbA = i * integrated.width + j;
+  const wbB = wbA + width;
+  const wbD = wbA + height * integrated.width;
+  const wbC = wbD + width;
+  const mean = (ii[wbA] - ii[wbB] - ii[wbD] + ii[wbC]) * inverseArea;
+  const variance = (iiSquare[wbA] - iiSquare[wbB] - iiSquare[wbD] + iiSquare[wbC]) * inverseArea - mean * mean;
+  return {
+    integrated,
+    i,
+    j,
+    inverseArea,
+    deviation: variance > 0 ? Math.sqrt(variance) : 1
+  };
+};
+
+/**
+ * Creates the sample of a positive image of the window size. The image is
+ * padded by one row at the top and one column at the left, see
+ * `integrate_`.
+ * @param {object} image The positive image.
+ * @param {number} width The window width.
+ * @param {number} height The window height.
+ * @return {object}
+ * @private
+ * @static
+ */
+HaarTrainer.createPositiveSample_ = function(image, width, height) {
+  if (image.width !== width || image.height !== height) {
+    throw new Error('Positive samples should be of the window size: ' + width + 'x' + height + '.');
+  }
+  const pixels = image.pixels || image.data;
+  const paddedWidth = width + 1;
+  let padded = new Uint8ClampedArray(paddedWidth * (height + 1) * 4);
+  for (let y = 0; y < height; y++) {
+    padded.set(pixels.slice(y * width * 4, (y + 1) * width * 4), ((y + 1) * paddedWidth + 1) * 4);
+  }
+  const integrated = HaarTrainer.integrate_({
+    pixels: padded,
+    width: paddedWidth,
+    height: height + 1
+  });
+  return HaarTrainer.createSample_(integrated, 0, 0, width, height);
+};
+
+/**
+ * Computes the value of a feature on a sample, its weighted rectangles sum
+ * normalized by the window area and standard deviation.
+ * @param {Array.<Array.<number>>} feature The feature rectangles.
+ * @param {object} sample
+ * @return {number}
+ * @private
+ * @static
+ */
+HaarTrainer.evalFeature_ = function(feature, sample) {
+  const ii = sample.integrated.integral;
+  const width = sample.integrated.width;
+  let rectsSum = 0;
+  for (const rect of feature) {
+    const w1 = (sample.i + rect[1]) * width + sample.j + rect[0];
+    const w2 = w1 + rect[2];
+    const w3 = w1 + rect[3] * width;
+    const w4 = w3 + rect[2];
+    rectsSum += (ii[w1] - ii[w2] - ii[w3] + ii[w4]) * rect[4];
+  }
+  return rectsSum * sample.inverseArea / sample.deviation;
+};
+
+/**
+ * Checks whether a sample passes all the stages trained so far.
+ * @param {Array.<object>} stages The trained stages.
+ * @param {object} sample
+ * @return {boolean}
+ * @private
+ * @static
+ */
+HaarTrainer.evalStages_ = function(stages, sample) {
+  for (const stage of stages) {
+    if (HaarTrainer.evalStage_(stage, sample) < stage.threshold) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Computes the sum of the weak classifiers of a stage on a sample.
+ * @param {object} stage
+ * @param {object} sample
+ * @return {number}
+ * @private
+ * @static
+ */
+HaarTrainer.evalStage_ = function(stage, sample) {
+  let stageSum = 0;
+  for (const stump of stage.stumps) {
+    stageSum += HaarTrainer.evalFeature_(stump.feature, sample) < stump.threshold ? stump.left : stump.right;
+  }
+  return stageSum;
+};
+
+/**
+ * Collects the negative windows passing the stages trained so far, scanning
+ * the negative images from where the previous collection stopped.
+ * @param {Array.<object>} negatives The integrated negative images.
+ * @param {Array.<object>} stages The trained stages.
+ * @param {object} cursor The scanning position, updated in place.
+ * @param {number} count The maximum number of windows to collect.
+ * @param {object} options The training options.
+ * @return {Array.<object>} The negative samples.
+ * @private
+ * @static
+ */
+HaarTrainer.collectNegatives_ = function(negatives, stages, cursor, count, options) {
+  const step = options.negativeStep;
+  let samples = [];
+  let visited = 0;
+  let total = 0;
+  negatives.forEach(function(negative) {
+    total += Math.max(0, Math.ceil((negative.height - options.height) / step)) *
+      Math.max(0, Math.ceil((negative.width - options.width) / step));
+  });
+
+  if (!total) {
+    throw new Error('Negative images should be larger than the window.');
+  }
+
+  while (samples.length < count && visited < total) {
+    const negative = negatives[cursor.image];
+    if (cursor.i >= negative.height - options.height) {
+      cursor.image = (cursor.image + 1) % negatives.length;
+      cursor.i = 0;
+      cursor.j = 0;
+      continue;
+    }
+    if (cursor.j >= negative.width - options.width) {
+      cursor.i += step;
+      cursor.j = 0;
+      continue;
+    }
+
+    const sample = HaarTrainer.createSample_(negative, cursor.i, cursor.j, options.width, options.height);
+    if (HaarTrainer.evalStages_(stages, sample)) {
+      samples.push(sample);
+    }
+    cursor.j += step;
+    visited++;
+  }
+  return samples;
+};
+
+/**
+ * Sorts the sample indices by increasing feature value.
+ * @param {Float64Array} values The feature values of the samples.
+ * @return {Array.<number>} The sorted sample indices.
+ * @private
+ * @static
+ */
+HaarTrainer.sortByValue_ = function(values) {
+  let order = new Array(values.length);
+  for (let s = 0; s < values.length; s++) {
+    order[s] = s;
+  }
+  return order.sort(function(a, b) {
+    return values[a] - values[b];
+  });
+};
+
+/**
+ * Trains a stage with Gentle AdaBoost, adding decision stumps until the
+ * false alarm rate is low enough while keeping the hit rate, or until the
+ * maximum number of weak classifiers is reached.
+ * @param {Array.<Array.<Array.<number>>>} features The candidate features.
+ * @param {Array.<object>} positives The positive samples.
+ * @param {Array.<object>} negatives The negative samples.
+ * @param {object} options The training options.
+ * @return {{stage: object, hitRate: number, falseAlarmRate: number}}
+ * @private
+ * @static
+ */
+HaarTrainer.trainStage_ = function(features, positives, negatives, options) {
+  const samples = positives.concat(negatives);
+  const total = samples.length;
+  const featureCount = features.length;
+  let labels = new Float64Array(total);
+  let weights = new Float64Array(total);
+  let stageSums = new Float64Array(total);
+  let values = new Float64Array(featureCount * total);
+  let orders = new Uint32Array(featureCount * total);
+
+  for (let s = 0; s < total; s++) {
+    const positive = s < positives.length;
+    labels[s] = positive ? 1 : -1;
+    weights[s] = 1 / (2 * (positive ? positives.length : negatives.length));
+  }
+
+  for (let f = 0; f < featureCount; f++) {
+    const featureValues = values.subarray(f * total, (f + 1) * total);
+    for (let s = 0; s < total; s++) {
+      featureValues[s] = HaarTrainer.evalFeature_(features[f], samples[s]);
+    }
+    orders.set(HaarTrainer.sortByValue_(featureValues), f * total);
+  }
+
+  let stage = {
+    threshold: 0,
+    stumps: []
+  };
+  let hitRate = 1;
+  let falseAlarmRate = 1;
+
+  while (stage.stumps.length < options.maxWeakCount) {
+    let weightSum = 0;
+    let weightedLabelSum = 0;
+    for (let s = 0; s < total; s++) {
+      weightSum += weights[s];
+    }
+    for (let s = 0; s < total; s++) {
+      weights[s] /= weightSum;
+      weightedLabelSum += weights[s] * labels[s];
+    }
+
+    // Finds the stump minimizing the weighted squared error, that is
+    // maximizing the sum of the squared weighted labels of each side divided
+    // by their weights.
+    let best = null;
+    for (let f = 0; f < featureCount; f++) {
+      const offset = f * total;
+      let leftWeight = 0;
+      let leftLabel = 0;
+      for (let k = 0; k < total - 1; k++) {
+        const s = orders[offset + k];
+        leftWeight += weights[s];
+        leftLabel += weights[s] * labels[s];
+        const value = values[offset + s];
+        const next = values[offset + orders[offset + k + 1]];
+        if (value === next) {
+          continue;
+        }
+        const rightWeight = 1 - leftWeight;
+        const rightLabel = weightedLabelSum - leftLabel;
+        if (leftWeight <= 0 || rightWeight <= 0) {
+          continue;
+        }
+        const score = leftLabel * leftLabel / leftWeight + rightLabel * rightLabel / rightWeight;
+        if (!best || score > best.score) {
+          best = {
+            score,
+            feature: f,
+            threshold: (value + next) / 2,
+            left: leftLabel / leftWeight,
+            right: rightLabel / rightWeight
+          };
+        }
+      }
+    }
+    if (!best) {
+      break;
+    }
+
+    const offset = best.feature * total;
+    stage.stumps.push({
+      feature: features[best.feature],
+      threshold: best.threshold,
+      left: best.left,
+      right: best.right
+    });
+    for (let s = 0; s < total; s++) {
+      const response = values[offset + s] < best.threshold ? best.left : best.right;
+      stageSums[s] += response;
+      weights[s] *= Math.exp(-labels[s] * response);
+    }
+
+    // Lowers the stage threshold until enough positives pass it, halfway to
+    // the highest negative sum below, so that the margin over the threshold
+    // of the detections, their score, grows with their distance to the
+    // negatives.
+    const positiveSums = Array.from(stageSums.subarray(0, positives.length)).sort(function(a, b) {
+      return a - b;
+    });
+    const rejected = Math.floor((1 - options.minHitRate) * positives.length);
+    let negativeSum = -Infinity;
+    for (let s = positives.length; s < total; s++) {
+      if (stageSums[s] < positiveSums[rejected]) {
+        negativeSum = Math.max(negativeSum, stageSums[s]);
+      }
+    }
+    stage.threshold = negativeSum === -Infinity ? positiveSums[rejected] - 1e-5 :
+      (positiveSums[rejected] + negativeSum) / 2;
+
+    let falseAlarms = 0;
+    for (let s = positives.length; s < total; s++) {
+      if (stageSums[s] >= stage.threshold) {
+        falseAlarms++;
+      }
+    }
+    hitRate = (positives.length - rejected) / positives.length;
+    falseAlarmRate = falseAlarms / negatives.length;
+    if (falseAlarmRate <= options.maxFalseAlarmRate) {
+      break;
+    }
+  }
+
+  return {
+    stage,
+    hitRate,
+    falseAlarmRate
+  };
+};
+
+/**
+ * Converts the trained stages into the flat array layout of `ViolaJones`.
+ * @param {Array.<object>} stages The trained stages.
+ * @param {number} width The window width.
+ * @param {number} height The window height.
+ * @return {Float64Array}
+ * @private
+ * @static
+ */
+HaarTrainer.toClassifier_ = function(stages, width, height) {
+  let data = [width, height];
+  for (const stage of stages) {
+    data.push(stage.threshold, stage.stumps.length);
+    for (const stump of stage.stumps) {
+      data.push(0, stump.feature.length);
+      for (const rect of stump.feature) {
+        data.push.apply(data, rect);
+      }
+      data.push(stump.threshold, stump.left, stump.right);
+    }
+  }
+  return new Float64Array(data);
+};
+
+/**
+ * Trains a HAAR cascade classifier. Each stage is trained by Gentle
+ * AdaBoost until it rejects enough negatives while keeping the target hit
+ * rate of positives, the following stages being trained on the positives
+ * accepted and on the negative windows still passing the cascade.
+ * @param {Array.<{pixels: array, width: number, height: number}>} positives
+ *     The images of the object, all of the window size, the pixels in a
+ *     linear [r,g,b,a,...] array either in `pixels` or `data`, e.g.
+ *     `ImageData`.
+ * @param {Array.<{pixels: array, width: number, height: number}>} negatives
+ *     The images without the object, larger than the window, scanned for
+ *     negative windows.
+ * @param {object=} opt_options The training options: the window `width`
+ *     and `height`, defaulting to the size of the positives, the maximum
+ *     number of `stages`, the `minHitRate` and `maxFalseAlarmRate` of each
+ *     stage, the `maxWeakCount` of each stage, the `maxFeatures` sampled
+ *     from all the upright features, the `negativeCount` of windows per
+ *     stage, defaulting to the number of positives, the `negativeStep` in
+ *     pixels between the negative windows, and an `onStage` function
+ *     called with the statistics of each trained stage.
+ * @return {Float64Array} The classifier data, in the layout of
+ *     `ViolaJones.classifiers`.
+ * @static
+ */
+HaarTrainer.train = function(positives, negatives, opt_options) {
+  if (!positives.length || !negatives.length) {
+    throw new Error('Positive and negative samples are required to train a cascade.');
+  }
+  let options = Object.assign({}, HaarTrainer.defaults, {
+    width: positives[0].width,
+    height: positives[0].height
+  }, opt_options);
+  options.negativeCount = options.negativeCount || positives.length;
+
+  let positiveSamples = positives.map(function(image) {
+    return HaarTrainer.createPositiveSample_(image, options.width, options.height);
+  });
+  const negativeImages = negatives.map(HaarTrainer.integrate_);
+  let cursor = { image: 0, i: 0, j: 0 };
+
+  let features = HaarTrainer.enumerateFeatures(options.width, options.height);
+  if (features.length > options.maxFeatures) {
+    const stride = features.length / options.maxFeatures;
+    let sampled = [];
+    for (let k = 0; k < options.maxFeatures; k++) {
+      sampled.push(features[Math.floor(k * stride)]);
+    }
+    features = sampled;
+  }
+
+  let stages = [];
+  while (stages.length < options.stages) {
+    const negativeSamples = HaarTrainer.collectNegatives_(negativeImages, stages, cursor,
+      options.negativeCount, options);
+    if (!negativeSamples.length || !positiveSamples.length) {
+      break;
+    }
+
+    const result = HaarTrainer.trainStage_(features, positiveSamples, negativeSamples, options);
+    if (!result.stage.stumps.length) {
+      break;
+    }
+    stages.push(result.stage);
+    positiveSamples = positiveSamples.filter(HaarTrainer.evalStages_.bind(null, [result.stage]));
+
+    if (options.onStage) {
+      options.onStage({
+        stage: stages.length - 1,
+        weakCount: result.stage.stumps.length,
+        hitRate: result.hitRate,
+        falseAlarmRate: result.falseAlarmRate,
+        negatives: negativeSamples.length
+      });
+    }
+  }
+
+  return HaarTrainer.toClassifier_(stages, options.width, options.height);
+};
+
+module.exports = HaarTrainer;
@@ -0,0 +1,185 @@
+const Image = require('../utils').Image;
+const ViolaJones = require('./ViolaJones');
+
+/**
+ * LBPCascade utility to detect objects with the Local Binary Patterns
+ * cascade classifiers trained by OpenCV, e.g. its `lbpcascade_*.xml` files.
+ * Their features compare integer block sums, without the variance
+ * normalization of the HAAR cascades, and are thus faster to evaluate.
+ *
+ * The LBP classifiers are objects `{type: 'lbp', width, height, data}`,
+ * `data` being laid out as `[stage...]`, each stage `[stageThreshold,
+ * nodeLength, node...]` and each node `[left, top, width, height, subset0,
+ * ..., subset7, leafIn, leafOut]`, the rectangle being the top-left block of
+ * the 3x3 blocks of the feature and the eight 32 bits subset words the 256
+ * patterns leading to `leafIn`.
+ * @static
+ * @constructor
+ */
+let LBPCascade = {};
+
+/**
+ * Checks whether a classifier is an LBP cascade classifier.
+ * @param {object} classifier
+ * @return {boolean}
+ * @static
+ */
+LBPCascade.isClassifier = function(classifier) {
+  return !!classifier && classifier.type === 'lbp';
+};
+
+/**
+ * Detects through the LBP cascade classifier rectangles matches.
+ * @param {Array} pixels The pixels in a linear [r,g,b,a,...] array.
+ * @param {number} width The image width.
+ * @param {number} height The image height.
+ * @param {number} initialScale The initial scale to start the block
+ *     scaling.
+ * @param {number} scaleFactor The scale factor to scale the feature block.
+ * @param {number} stepSize The block step size.
+ * @param {number} edgesDensity Percentage density edges inside the
+ *     classifier block, see `ViolaJones.detect`.
+ * @param {object} classifier The LBP cascade classifier.
+ * @param {{method: string, threshold: number}=} opt_grouping The grouping of
+ *     the sub-windows, see `ViolaJones.groupRectangles`.
+ * @return {array} Found rectangles, grouped by
+ *     `ViolaJones.groupRectangles`.
+ * @static
+ */
+LBPCascade.detect = function(pixels, width, height, initialScale, scaleFactor, stepSize, edgesDensity, classifier,
+                             opt_grouping) {
+  let total = 0;
+  let rects = [];
+  let integralImage = new Int32Array(width * height);
+
+  let integralImageSobel;
+  if (edgesDensity > 0) {
+    integralImageSobel = new Int32Array(width * height);
+  }
+
+  Image.computeIntegralImage(pixels, width, height, integralImage, null, null, integralImageSobel);
+
+  let scale = initialScale * scaleFactor;
+  let blockWidth = (scale * classifier.width) | 0;
+  let blockHeight = (scale * classifier.height) | 0;
+
+  while (blockWidth < width && blockHeight < height) {
+    let step = (scale * stepSize + 0.5) | 0;
+    for (let i = 0; i < (height - blockHeight); i += step) {
+      for (let j = 0; j < (width - blockWidth); j += step) {
+        if (edgesDensity > 0) {
+          if (ViolaJones.isTriviallyExcluded(edgesDensity, integralImageSobel, i, j, width, blockWidth,
+              blockHeight)) {
+            continue;
+          }
+        }
+
+        let margin = this.evalStages_(classifier.data, integralImage, i, j, width, scale);
+        if (margin >= 0) {
+          rects[total++] = {
+            width: blockWidth,
+            height: blockHeight,
+            x: j,
+            y: i,
+            score: margin
+          };
+        }
+      }
+    }
+
+    scale *= scaleFactor;
+    blockWidth = (scale * classifier.width) | 0;
+    blockHeight = (scale * classifier.height) | 0;
+  }
+
+  return ViolaJones.groupRectangles(rects, opt_grouping);
+};
+
+/**
+ * Evaluates if the block on i,j position passes all the stages of an LBP
+ * cascade. The features are scaled down to whole pixels, so that they stay
+ * inside the block.
+ * @param {Float64Array} data The LBP cascade data.
+ * @param {Int32Array} integralImage The integral image.
+ * @param {number} i Vertical position of the block.
+ * @param {number} j Horizontal position of the block.
+ * @param {number} width The image width.
+ * @param {number} scale The scale factor of the block size and its original
+ *     size.
+ * @return {number} The margin of the stage sum over the stage threshold of
+ *     the last stage when the block passes all the stage tests, or the
+ *     negative margin of the first stage rejecting it.
+ * @private
+ * @static
+ */
+LBPCascade.evalStages_ = function(data, integralImage, i, j, width, scale) {
+  let length = data.length;
+  let corners = LBPCascade.corners_;
+  let margin = 0;
+
+  for (let w = 0; w < length;) {
+    let stageSum = 0;
+    let stageThreshold = data[w++];
+    let nodeLength = data[w++];
+
+    while (nodeLength--) {
+      let left = j + ((data[w++] * scale) | 0);
+      let top = i + ((data[w++] * scale) | 0);
+      let blockWidth = Math.max(1, (data[w++] * scale) | 0);
+      let blockHeight = Math.max(1, (data[w++] * scale) | 0);
+
+      // Corners of the 3x3 blocks in the integral image, in major row order.
+      // The integral image sums the pixels up to its position included, so
+      // the corners are one pixel up and left of the blocks, outside of the
+      // image for the blocks on its edge, where the sum is 0.
+      for (let r = 0; r < 4; r++) {
+        let y = top - 1 + r * blockHeight;
+        for (let c = 0; c < 4; c++) {
+          let x = left - 1 + c * blockWidth;
+          corners[r * 4 + c] = y < 0 || x < 0 ? 0 : integralImage[y * width + x];
+        }
+      }
+
+      let center = LBPCascade.blockSum_(corners, 5);
+      let code = (LBPCascade.blockSum_(corners, 0) >= center ? 128 : 0) |
+        (LBPCascade.blockSum_(corners, 1) >= center ? 64 : 0) |
+        (LBPCascade.blockSum_(corners, 2) >= center ? 32 : 0) |
+        (LBPCascade.blockSum_(corners, 6) >= center ? 16 : 0) |
+        (LBPCascade.blockSum_(corners, 10) >= center ? 8 : 0) |
+        (LBPCascade.blockSum_(corners, 9) >= center ? 4 : 0) |
+        (LBPCascade.blockSum_(corners, 8) >= center ? 2 : 0) |
+        (LBPCascade.blockSum_(corners, 4) >= center ? 1 : 0);
+
+      stageSum += data[w + (code >> 5)] & (1 << (code & 31)) ? data[w + 8] : data[w + 9];
+      w += 10;
+    }
+
+    margin = stageSum - stageThreshold;
+    if (margin < 0) {
+      return margin;
+    }
+  }
+  return margin;
+};
+
+/**
+ * Holds the corners of the blocks of the feature being evaluated.
+ * @type {Int32Array}
+ * @private
+ * @static
+ */
+LBPCascade.corners_ = new Int32Array(16);
+
+/**
+ * Computes the sum of a block from the corners of the 3x3 blocks.
+ * @param {Int32Array} corners The 4x4 corners in major row order.
+ * @param {number} k The index of the top-left corner of the block.
+ * @return {number}
+ * @private
+ * @static
+ */
+LBPCascade.blockSum_ = function(corners, k) {
+  return corners[k] - corners[k + 1] - corners[k + 4] + corners[k + 5];
+};
+
+module.exports = LBPCascade;
@@ -0,0 +1,247 @@
+/**
+ * OpenCVCascade utility to convert the cascade classifiers trained by
+ * OpenCV, e.g. its `haarcascade_*.xml` and `lbpcascade_*.xml` files, into
+ * the flat arrays used by `ViolaJones` and `LBPCascade`.
+ *
+ * The HAAR cascade arrays are laid out as `[width, height, stage...]`,
+ * each stage being `[stageThreshold, nodeLength, node...]` and each node
+ * `[tilted, rectsLength, rect..., nodeThreshold, nodeLeft, nodeRight]`
+ * with each rect `[left, top, width, height, weight]`.
+ * @static
+ * @constructor
+ */
+let OpenCVCascade = {};
+
+/**
+ * Parses an XML document into a tree of elements. Only the element names,
+ * children and text content are kept, which is all the OpenCV storage
+ * format uses.
+ * @param {string} xml The XML document.
+ * @return {{name: string, children: Array.<object>, text: string}} The
+ *     document node, holding the root element as its child.
+ * @private
+ * @static
+ */
+OpenCVCascade.parseXml_ = function(xml) {
+  const source = xml
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<![^>]*>/g, '');
+  const document = { name: '#document', children: [], text: '' };
+  let stack = [document];
+  const tokens = /<(\/?)([^\s>\/]+)[^>]*?(\/?)>|([^<]+)/g;
+  let token;
+
+  while ((token = tokens.exec(source))) {
+    const parent = stack[stack.length - 1];
+    if (token[4] !== undefined) {
+      parent.text += token[4];
+    } else if (token[1]) {
+      if (parent.name !== token[2]) {
+        throw new Error('Malformed XML, unexpected closing tag: ' + token[2] + '.');
+      }
+      stack.pop();
+    } else {
+      const element = { name: token[2], children: [], text: '' };
+      parent.children.push(element);
+      if (!token[3]) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error('Malformed XML, unclosed tag: ' + stack[stack.length - 1].name + '.');
+  }
+  return document;
+};
+
+/**
+ * Gets the first child element of a node with the given name.
+ * @param {object} node
+ * @param {string} name
+ * @return {object} The child element, or undefined if not found.
+ * @private
+ * @static
+ */
+OpenCVCascade.child_ = function(node, name) {
+  for (const child of node.children) {
+    if (child.name === name) {
+      return child;
+    }
+  }
+};
+
+/**
+ * Gets the numbers of the text content of a node.
+ * @param {object} node
+ * @return {Array.<number>}
+ * @private
+ * @static
+ */
+OpenCVCascade.numbers_ = function(node) {
+  const text = node ? node.text.trim() : '';
+  return text ? text.split(/\s+/).map(parseFloat) : [];
+};
+
+/**
+ * Gets the cascade element of an OpenCV storage document, either `cascade`
+ * in the new format or the element named after the classifier in the old
+ * one.
+ * @param {string} xml The OpenCV cascade XML document.
+ * @return {object}
+ * @private
+ * @static
+ */
+OpenCVCascade.getCascade_ = function(xml) {
+  const storage = OpenCVCascade.child_(OpenCVCascade.parseXml_(xml), 'opencv_storage');
+  if (!storage || !storage.children.length) {
+    throw new Error('Not an OpenCV cascade, `opencv_storage` element not found.');
+  }
+  return storage.children[0];
+};
+
+/**
+ * Gets the type of the features of an OpenCV cascade, `HAAR` for the old
+ * format.
+ * @param {string} xml The OpenCV cascade XML document.
+ * @return {string} The feature type, e.g. `HAAR` or `LBP`.
+ * @static
+ */
+OpenCVCascade.getFeatureType = function(xml) {
+  const featureType = OpenCVCascade.child_(OpenCVCascade.getCascade_(xml), 'featureType');
+  return featureType ? featureType.text.trim().toUpperCase() : 'HAAR';
+};
+
+/**
+ * Appends the rectangles and tilted flag of a HAAR feature to the data.
+ * @param {Array.<number>} data The classifier data.
+ * @param {object} feature The feature element.
+ * @private
+ * @static
+ */
+OpenCVCascade.pushHaarFeature_ = function(data, feature) {
+  const rects = OpenCVCascade.child_(feature, 'rects').children;
+  data.push(OpenCVCascade.numbers_(OpenCVCascade.child_(feature, 'tilted'))[0] || 0, rects.length);
+  rects.forEach(function(rect) {
+    const values = OpenCVCascade.numbers_(rect);
+    if (values.length !== 5) {
+      throw new Error('HAAR feature rectangles should hold 5 values.');
+    }
+    data.push.apply(data, values);
+  });
+};
+
+/**
+ * Converts an OpenCV HAAR cascade XML document, in the old format of the
+ * `haarcascade_*.xml` files or in the new one of `opencv_traincascade`, into
+ * the flat array layout of `ViolaJones`. Tilted features are supported.
+ * Only the cascades of decision stumps, the default of OpenCV, can be
+ * converted.
+ * @param {string} xml The OpenCV cascade XML document.
+ * @return {Float64Array} The classifier data.
+ * @static
+ */
+OpenCVCascade.parseHaar = function(xml) {
+  const cascade = OpenCVCascade.getCascade_(xml);
+  const child = OpenCVCascade.child_;
+  const numbers = OpenCVCascade.numbers_;
+  let data = [];
+
+  if (child(cascade, 'size')) {
+    // Old format, each tree holding its feature.
+    data.push.apply(data, numbers(child(cascade, 'size')));
+    child(cascade, 'stages').children.forEach(function(stage) {
+      const trees = child(stage, 'trees').children;
+      data.push(numbers(child(stage, 'stage_threshold'))[0], trees.length);
+      trees.forEach(function(tree) {
+        const node = tree.children[0];
+        if (tree.children.length !== 1 || !child(node, 'left_val') || !child(node, 'right_val')) {
+          throw new Error('Only the cascades of decision stumps can be converted.');
+        }
+        OpenCVCascade.pushHaarFeature_(data, child(node, 'feature'));
+        data.push(numbers(child(node, 'threshold'))[0], numbers(child(node, 'left_val'))[0],
+          numbers(child(node, 'right_val'))[0]);
+      });
+    });
+    return new Float64Array(data);
+  }
+
+  if (OpenCVCascade.getFeatureType(xml) !== 'HAAR') {
+    throw new Error('Not a HAAR cascade: ' + OpenCVCascade.getFeatureType(xml) + ' features.');
+  }
+  // New format, the weak classifiers referencing the shared features.
+  const features = child(cascade, 'features').children;
+  data.push(numbers(child(cascade, 'width'))[0], numbers(child(cascade, 'height'))[0]);
+  child(cascade, 'stages').children.forEach(function(stage) {
+    const weakClassifiers = child(stage, 'weakClassifiers').children;
+    data.push(numbers(child(stage, 'stageThreshold'))[0], weakClassifiers.length);
+    weakClassifiers.forEach(function(weakClassifier) {
+      // A stump holds one internal node `[left, right, featureIndex,
+      // threshold]` and two leaf values.
+      const node = numbers(child(weakClassifier, 'internalNodes'));
+      const leaves = numbers(child(weakClassifier, 'leafValues'));
+      if (node.length !== 4 || leaves.length !== 2) {
+        throw new Error('Only the cascades of decision stumps can be converted.');
+      }
+      const feature = features[node[2]];
+      if (!feature) {
+        throw new Error('HAAR feature not found: ' + node[2] + '.');
+      }
+      OpenCVCascade.pushHaarFeature_(data, feature);
+      data.push(node[3], leaves[0], leaves[1]);
+    });
+  });
+  return new Float64Array(data);
+};
+
+/**
+ * Converts an OpenCV LBP cascade XML document, as written by
+ * `opencv_traincascade`, into an `LBPCascade` classifier. Only the cascades
+ * of decision stumps, the default of OpenCV, can be converted.
+ * @param {string} xml The OpenCV cascade XML document.
+ * @return {{type: string, width: number, height: number, data:
+ *     Float64Array}} The classifier.
+ * @static
+ */
+OpenCVCascade.parseLbp = function(xml) {
+  const cascade = OpenCVCascade.getCascade_(xml);
+  const child = OpenCVCascade.child_;
+  const numbers = OpenCVCascade.numbers_;
+  if (OpenCVCascade.getFeatureType(xml) !== 'LBP') {
+    throw new Error('Not an LBP cascade: ' + OpenCVCascade.getFeatureType(xml) + ' features.');
+  }
+
+  const features = child(cascade, 'features').children;
+  let data = [];
+  child(cascade, 'stages').children.forEach(function(stage) {
+    const weakClassifiers = child(stage, 'weakClassifiers').children;
+    data.push(numbers(child(stage, 'stageThreshold'))[0], weakClassifiers.length);
+    weakClassifiers.forEach(function(weakClassifier) {
+      // A stump holds one internal node `[left, right, featureIndex,
+      // subset0, ..., subset7]` and two leaf values.
+      const node = numbers(child(weakClassifier, 'internalNodes'));
+      const leaves = numbers(child(weakClassifier, 'leafValues'));
+      if (node.length !== 11 || leaves.length !== 2) {
+        throw new Error('Only the cascades of decision stumps can be converted.');
+      }
+      const feature = features[node[2]];
+      const rect = feature ? numbers(child(feature, 'rect')) : [];
+      if (rect.length !== 4) {
+        throw new Error('LBP feature not found: ' + node[2] + '.');
+      }
+      data.push.apply(data, rect);
+      data.push.apply(data, node.slice(3));
+      data.push(leaves[0], leaves[1]);
+    });
+  });
+
+  return {
+    type: 'lbp',
+    width: numbers(child(cascade, 'width'))[0],
+    height: numbers(child(cascade, 'height'))[0],
+    data: new Float64Array(data)
+  };
+};
+
+module.exports = OpenCVCascade;
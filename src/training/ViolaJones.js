@@ -1,7 +1,8 @@
 const TrackingMath = require('../math').TrackingMath;
 const DisjointSet = require('../utils').DisjointSet;
 const Image = require('../utils').Image;
-const Scale = require('../utils').Scale;
+const HaarTrainer = require('./HaarTrainer');
+const OpenCVCascade = require('./OpenCVCascade');
 const { eye, face, mouth } = require('./haar');
 
 /**
@@ -23,7 +24,17 @@ let ViolaJones = {};
 ViolaJones.REGIONS_OVERLAP = 0.5;
 
 /**
- * Holds the HAAR cascade classifiers converted from OpenCV training.
+ * Holds the default IoU threshold above which the non-maximum suppression
+ * groupings suppress a detection.
+ * @type {number}
+ * @default 0.3
+ * @static
+ */
+ViolaJones.NMS_THRESHOLD = 0.3;
+
+/**
+ * Holds the cascade classifiers converted from OpenCV training, HAAR
+ * classifiers data and `LBPCascade` classifiers, by name.
  * @type {array}
  * @static
  */
@@ -33,6 +44,92 @@ ViolaJones.classifiers = {
   mouth
 };
 
+/**
+ * Registers a cascade classifier under a name, so that it can be tracked
+ * with `new tracking.ObjectTracker(name)`.
+ * @param {string} name The classifier name.
+ * @param {string|Array.<number>|object} classifier The HAAR classifier
+ *     data, an `LBPCascade` classifier, or an OpenCV HAAR or LBP cascade XML
+ *     document to convert, see `OpenCVCascade`.
+ * @return {Float64Array|object} The classifier.
+ * @static
+ */
+ViolaJones.registerClassifier = function(name, classifier) {
+  if (typeof classifier === 'string') {
+    classifier = OpenCVCascade.getFeatureType(classifier) === 'LBP' ?
+      OpenCVCascade.parseLbp(classifier) : OpenCVCascade.parseHaar(classifier);
+  }
+  if (classifier.type === 'lbp') {
+    this.classifiers[name] = classifier;
+  } else {
+    this.classifiers[name] = Float64Array.from(classifier);
+  }
+  return this.classifiers[name];
+};
+
+/**
+ * Registers a grouping strategy under a name, usable by
+ * `ObjectTracker.setGrouping`.
+ * @param {string} name The grouping name.
+ * @param {function(Array.<object>, number): Array.<object>} fn The function
+ *     grouping the sub-windows `{x, y, width, height, score}` detected with
+ *     the given threshold, or with its own default if undefined, into
+ *     detections holding their `total` number of neighbors and `score`.
+ * @static
+ */
+ViolaJones.registerGrouping = function(name, fn) {
+  this.groupings[name] = fn;
+};
+
+/**
+ * Groups the detected sub-windows into detections.
+ * @param {array} rects The detected sub-windows.
+ * @param {{method: string, threshold: number}=} opt_grouping The grouping
+ *     `method`, a name of `ViolaJones.groupings` defaulting to `average`,
+ *     and its `threshold`.
+ * @return {array} The detections.
+ * @static
+ */
+ViolaJones.groupRectangles = function(rects, opt_grouping) {
+  const grouping = opt_grouping || {};
+  const fn = this.groupings[grouping.method || 'average'];
+  if (!fn) {
+    throw new Error('Unknown grouping: ' + grouping.method + '.');
+  }
+  return fn.call(this, rects, grouping.threshold === null ? undefined : grouping.threshold);
+};
+
+/**
+ * Gets the name a classifier is registered under.
+ * @param {Float64Array|object} classifier
+ * @return {string} The name, or null if the classifier is not registered.
+ * @static
+ */
+ViolaJones.getClassifierName = function(classifier) {
+  for (const name of Object.keys(this.classifiers)) {
+    if (this.classifiers[name] === classifier) {
+      return name;
+    }
+  }
+  return null;
+};
+
+/**
+ * Trains a HAAR cascade classifier from positive and negative images, see
+ * `HaarTrainer.train` for the options.
+ * @param {Array.<{pixels: array, width: number, height: number}>} positives
+ *     The images of the object, all of the window size.
+ * @param {Array.<{pixels: array, width: number, height: number}>} negatives
+ *     The images without the object, larger than the window.
+ * @param {object=} opt_options The training options.
+ * @return {Float64Array} The classifier data, to be registered with
+ *     `ViolaJones.registerClassifier`.
+ * @static
+ */
+ViolaJones.train = function(positives, negatives, opt_options) {
+  return HaarTrainer.train(positives, negatives, opt_options);
+};
+
 /**
  * Detects through the HAAR cascade data rectangles matches.
  * @param {Array} pixels The pixels in a linear [r,g,b,a,...] array.
@@ -47,10 +144,13 @@ ViolaJones.classifiers = {
  *     edge detection will be applied to the image to prune dead areas of the
  *     image, this can improve significantly performance.
  * @param {number} data The HAAR cascade data.
- * @return {array} Found rectangles.
+ * @param {{method: string, threshold: number}=} opt_grouping The grouping of
+ *     the sub-windows, see `groupRectangles`.
+ * @return {array} Found rectangles, grouped by `groupRectangles`.
  * @static
  */
-ViolaJones.detect = function (pixels, width, height, initialScale, scaleFactor, stepSize, edgesDensity, data) {
+ViolaJones.detect = function (pixels, width, height, initialScale, scaleFactor, stepSize, edgesDensity, data,
+                              opt_grouping) {
   let total = 0;
   let rects = [];
   let integralImage = new Int32Array(width * height);
@@ -81,13 +181,15 @@ ViolaJones.detect = function (pixels, width, height, initialScale, scaleFactor,
           }
         }
 
-        if (this.evalStages_(data, integralImage, integralImageSquare, tiltedIntegralImage,
-            i, j, width, blockWidth, blockHeight, scale)) {
+        let margin = this.evalStages_(data, integralImage, integralImageSquare, tiltedIntegralImage,
+          i, j, width, blockWidth, blockHeight, scale);
+        if (margin >= 0) {
           rects[total++] = {
             width: blockWidth,
             height: blockHeight,
             x: j,
-            y: i
+            y: i,
+            score: margin
           };
         }
       }
@@ -98,7 +200,7 @@ ViolaJones.detect = function (pixels, width, height, initialScale, scaleFactor,
     blockHeight = (scale * minHeight) | 0;
   }
 
-  return this.mergeRectangles_(rects);
+  return this.groupRectangles(rects, opt_grouping);
 };
 
 /**
@@ -138,7 +240,9 @@ ViolaJones.isTriviallyExcluded = function (edgesDensity, integralImageSobel, i,
  * @param {number} scale The scale factor of the block size and its original
  *     size.
  * @param {number} inverseArea The inverse area of the block size.
- * @return {boolean} Whether the region passes all the stage tests.
+ * @return {number} The margin of the stage sum over the stage threshold of
+ *     the last stage when the region passes all the stage tests, or the
+ *     negative margin of the first stage rejecting it.
  * @private
  * @static
  */
@@ -159,6 +263,7 @@ ViolaJones.evalStages_ = function (data, integralImage, integralImageSquare, til
   }
 
   let length = data.length;
+  let margin = 0;
 
   for (let w = 2; w < length;) {
     let stageSum = 0;
@@ -216,22 +321,28 @@ ViolaJones.evalStages_ = function (data, integralImage, integralImageSquare, til
       }
     }
 
-    if (stageSum < stageThreshold) {
-      return false;
+    margin = stageSum - stageThreshold;
+    if (margin < 0) {
+      return margin;
     }
   }
-  return true;
+  return margin;
 };
 
 /**
  * Postprocess the detected sub-windows in order to combine overlapping
  * detections into a single detection.
  * @param {array} rects
- * @return {array}
+ * @param {number=} opt_threshold The minimum overlap of the sub-windows of
+ *     a detection, defaults to `REGIONS_OVERLAP`.
+ * @return {array} The detections, holding the `total` number of grouped
+ *     sub-windows, that is the neighbors count, and the best `score` of
+ *     them.
  * @private
  * @static
  */
-ViolaJones.mergeRectangles_ = function (rects) {
+ViolaJones.mergeRectangles_ = function (rects, opt_threshold) {
+  let threshold = opt_threshold === undefined ? this.REGIONS_OVERLAP : opt_threshold;
   let disjointSet = new DisjointSet(rects.length);
 
   for (let i = 0; i < rects.length; i++) {
@@ -248,8 +359,8 @@ ViolaJones.mergeRectangles_ = function (rects) {
         let area1 = (r1.width * r1.height);
         let area2 = (r2.width * r2.height);
 
-        if ((overlap / (area1 * (area1 / area2)) >= this.REGIONS_OVERLAP) &&
-          (overlap / (area2 * (area1 / area2)) >= this.REGIONS_OVERLAP)) {
+        if ((overlap / (area1 * (area1 / area2)) >= threshold) &&
+          (overlap / (area2 * (area1 / area2)) >= threshold)) {
           disjointSet.union(i, j);
         }
       }
@@ -265,11 +376,13 @@ ViolaJones.mergeRectangles_ = function (rects) {
         width: rects[k].width,
         height: rects[k].height,
         x: rects[k].x,
-        y: rects[k].y
+        y: rects[k].y,
+        score: rects[k].score
       };
       continue;
     }
     map[rep].total++;
+    map[rep].score = Math.max(map[rep].score, rects[k].score);
     map[rep].width += rects[k].width;
     map[rep].height += rects[k].height;
     map[rep].x += rects[k].x;
@@ -277,19 +390,116 @@ ViolaJones.mergeRectangles_ = function (rects) {
   }
 
   let result = [];
-  const scale = Scale.scale;
   Object.keys(map).forEach(function (key) {
     let rect = map[key];
     result.push({
       total: rect.total,
-      width: ((rect.width / rect.total + 0.5) / scale) | 0,
-      height: ((rect.height / rect.total + 0.5) / scale) | 0,
-      x: ((rect.x / rect.total + 0.5) / scale) | 0,
-      y: ((rect.y / rect.total + 0.5) / scale) | 0
+      width: (rect.width / rect.total + 0.5) | 0,
+      height: (rect.height / rect.total + 0.5) | 0,
+      x: (rect.x / rect.total + 0.5) | 0,
+      y: (rect.y / rect.total + 0.5) | 0,
+      score: rect.score
     });
   });
 
   return result;
 };
 
+/**
+ * Suppresses the sub-windows overlapping a better scored one, greedily from
+ * the best score, each kept sub-window counting the ones it suppressed as
+ * its neighbors.
+ * @param {array} rects The detected sub-windows.
+ * @param {number} threshold The IoU above which a sub-window is suppressed.
+ * @return {Array.<{rects: array, best: object}>} The clusters of
+ *     sub-windows, with their best one.
+ * @private
+ * @static
+ */
+ViolaJones.suppressNonMaxima_ = function(rects, threshold) {
+  let sorted = rects.slice().sort(function(a, b) {
+    return b.score - a.score;
+  });
+  let suppressed = new Uint8Array(sorted.length);
+  let clusters = [];
+  for (let i = 0; i < sorted.length; i++) {
+    if (suppressed[i]) {
+      continue;
+    }
+    let cluster = [sorted[i]];
+    for (let j = i + 1; j < sorted.length; j++) {
+      if (!suppressed[j] && TrackingMath.intersectionOverUnion(sorted[i], sorted[j]) > threshold) {
+        suppressed[j] = 1;
+        cluster.push(sorted[j]);
+      }
+    }
+    clusters.push({
+      rects: cluster,
+      best: sorted[i]
+    });
+  }
+  return clusters;
+};
+
+/**
+ * Holds the grouping strategies of the detected sub-windows, by name:
+ * `average` averaging the overlapping ones, `nms` keeping the best scored
+ * ones by greedy IoU non-maximum suppression, and `weighted` averaging
+ * the suppressed ones weighted by their scores.
+ * @type {Object.<string, function(Array.<object>, number): Array.<object>>}
+ * @static
+ */
+ViolaJones.groupings = {
+  average: function(rects, opt_threshold) {
+    return ViolaJones.mergeRectangles_(rects, opt_threshold);
+  },
+
+  nms: function(rects, opt_threshold) {
+    const threshold = opt_threshold === undefined ? ViolaJones.NMS_THRESHOLD : opt_threshold;
+    return ViolaJones.suppressNonMaxima_(rects, threshold).map(function(cluster) {
+      return {
+        total: cluster.rects.length,
+        width: cluster.best.width,
+        height: cluster.best.height,
+        x: cluster.best.x,
+        y: cluster.best.y,
+        score: cluster.best.score
+      };
+    });
+  },
+
+  weighted: function(rects, opt_threshold) {
+    const threshold = opt_threshold === undefined ? ViolaJones.NMS_THRESHOLD : opt_threshold;
+    return ViolaJones.suppressNonMaxima_(rects, threshold).map(function(cluster) {
+      let weights = cluster.rects.map(function(rect) {
+        return Math.max(0, rect.score);
+      });
+      let weightSum = weights.reduce(function(sum, weight) {
+        return sum + weight;
+      }, 0);
+      if (!weightSum) {
+        weights = weights.map(function() {
+          return 1;
+        });
+        weightSum = weights.length;
+      }
+      let box = { x: 0, y: 0, width: 0, height: 0 };
+      cluster.rects.forEach(function(rect, k) {
+        box.x += rect.x * weights[k];
+        box.y += rect.y * weights[k];
+        box.width += rect.width * weights[k];
+        box.height += rect.height * weights[k];
+      });
+      return {
+        total: cluster.rects.length,
+        width: (box.width / weightSum + 0.5) | 0,
+        height: (box.height / weightSum + 0.5) | 0,
+        x: (box.x / weightSum + 0.5) | 0,
+        y: (box.y / weightSum + 0.5) | 0,
+        score: cluster.best.score
+      };
+    });
+  }
+};
+
 module.exports = ViolaJones;
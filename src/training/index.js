@@ -1,8 +1,14 @@
+const HaarTrainer = require('./HaarTrainer');
+const LBPCascade = require('./LBPCascade');
+const OpenCVCascade = require('./OpenCVCascade');
 const ViolaJones = require('./ViolaJones');
 const haar = require('./haar');
 
 const training = {
   haar,
+  HaarTrainer,
+  LBPCascade,
+  OpenCVCascade,
   ViolaJones
 };
 
@@ -0,0 +1,215 @@
+/**
+ * Camera utility to capture the user camera into a video element through
+ * `navigator.mediaDevices`.
+ * @constructor
+ * @param {HTMLVideoElement} element The video element to set the camera
+ *     stream to.
+ * @param {object} opt_options Optional camera configuration, see
+ *     `Camera.getConstraints`.
+ */
+let Camera = function(element, opt_options) {
+  if (!element) {
+    throw new Error('Camera element not specified.');
+  }
+  this.element = element;
+  this.options = Object.assign({}, opt_options);
+};
+
+/**
+ * Holds the media devices used instead of `navigator.mediaDevices`, e.g. a
+ * stub to capture fake streams in Node.js.
+ * @type {MediaDevices}
+ * @default null
+ * @static
+ */
+Camera.mediaDevices = null;
+
+/**
+ * Gets the media devices used to capture the camera.
+ * @return {MediaDevices}
+ * @static
+ */
+Camera.getMediaDevices = function() {
+  const mediaDevices = Camera.mediaDevices ||
+    (typeof navigator !== 'undefined' ? navigator.mediaDevices : null);
+  if (!mediaDevices || typeof mediaDevices.getUserMedia !== 'function') {
+    throw new Error('Media devices not supported, try a browser with `navigator.mediaDevices`.');
+  }
+  return mediaDevices;
+};
+
+/**
+ * Builds the `getUserMedia` constraints from the camera configuration.
+ * @param {object} opt_options Optional camera configuration, supporting
+ *     `audio`, `width`, `height`, `frameRate`, `facingMode` and `deviceId`.
+ * @return {object} The media stream constraints.
+ * @static
+ */
+Camera.getConstraints = function(opt_options) {
+  const options = opt_options || {};
+  let video = {};
+
+  if (options.width) {
+    video.width = { ideal: options.width };
+  }
+  if (options.height) {
+    video.height = { ideal: options.height };
+  }
+  if (options.frameRate) {
+    video.frameRate = { ideal: options.frameRate };
+  }
+  if (options.deviceId) {
+    video.deviceId = { exact: options.deviceId };
+  } else if (options.facingMode) {
+    video.facingMode = options.facingMode;
+  }
+
+  return {
+    video: Object.keys(video).length ? video : true,
+    audio: !!options.audio
+  };
+};
+
+/**
+ * Lists the available cameras.
+ * @return {Promise.<Array.<MediaDeviceInfo>>} The video input devices.
+ * @static
+ */
+Camera.list = function() {
+  return new Promise(function(resolve) {
+    resolve(Camera.getMediaDevices().enumerateDevices());
+  }).then(function(devices) {
+    return devices.filter(function(device) {
+      return device.kind === 'videoinput';
+    });
+  });
+};
+
+/**
+ * Stops the tracks of a stream.
+ * @param {MediaStream} stream
+ * @private
+ * @static
+ */
+Camera.stopStream_ = function(stream) {
+  stream.getTracks().forEach(function(track) {
+    track.stop();
+  });
+};
+
+/**
+ * Holds the video element the camera stream is set to.
+ * @type {HTMLVideoElement}
+ */
+Camera.prototype.element = null;
+
+/**
+ * Holds the camera configuration.
+ * @type {object}
+ */
+Camera.prototype.options = null;
+
+/**
+ * Holds the captured stream.
+ * @type {MediaStream}
+ * @private
+ */
+Camera.prototype.stream_ = null;
+
+/**
+ * Holds whether the camera is started, so it is not captured again by
+ * `switchCamera` once stopped.
+ * @type {boolean}
+ * @private
+ */
+Camera.prototype.started_ = false;
+
+/**
+ * Holds the number of captures and stops, so a capture resolved after a
+ * later one or after `stop` is discarded.
+ * @type {number}
+ * @private
+ */
+Camera.prototype.generation_ = 0;
+
+/**
+ * Gets the captured stream.
+ * @return {MediaStream}
+ */
+Camera.prototype.getStream = function() {
+  return this.stream_;
+};
+
+/**
+ * Captures the camera with the given configuration. Only once the new
+ * stream is captured, the previous one is stopped and the configuration is
+ * kept, so a failure leaves the current camera running.
+ * @param {object} options The camera configuration.
+ * @return {Promise.<MediaStream>} The new stream, or null if the camera was
+ *     stopped or captured again meanwhile.
+ * @private
+ */
+Camera.prototype.capture_ = function(options) {
+  const generation = ++this.generation_;
+  return new Promise(function(resolve) {
+    resolve(Camera.getMediaDevices().getUserMedia(Camera.getConstraints(options)));
+  }).then((stream) => {
+    if (generation !== this.generation_) {
+      Camera.stopStream_(stream);
+      return null;
+    }
+    if (this.stream_) {
+      Camera.stopStream_(this.stream_);
+    }
+    this.stream_ = stream;
+    this.options = options;
+    if ('srcObject' in this.element) {
+      this.element.srcObject = stream;
+    } else {
+      this.element.src = window.URL.createObjectURL(stream);
+    }
+    return stream;
+  });
+};
+
+/**
+ * Captures the camera and sets its stream as the source of the video
+ * element, replacing a previously captured stream.
+ * @return {Promise.<MediaStream>} The stream, or null if the camera was
+ *     stopped meanwhile.
+ */
+Camera.prototype.start = function() {
+  this.started_ = true;
+  return this.capture_(this.options);
+};
+
+/**
+ * Stops the captured stream, if any, and discards the pending captures.
+ */
+Camera.prototype.stop = function() {
+  this.started_ = false;
+  this.generation_++;
+  if (!this.stream_) {
+    return;
+  }
+  Camera.stopStream_(this.stream_);
+  this.stream_ = null;
+};
+
+/**
+ * Switches to another camera. The `deviceId` option is only changed once
+ * the camera is captured. Does nothing if the camera is not started.
+ * @param {string} deviceId The `deviceId` of the camera, see `Camera.list`.
+ * @return {Promise.<MediaStream>} The stream, or null if the camera is not
+ *     started or was stopped meanwhile.
+ */
+Camera.prototype.switchCamera = function(deviceId) {
+  if (!this.started_) {
+    return Promise.resolve(null);
+  }
+  return this.capture_(Object.assign({}, this.options, {
+    deviceId
+  }));
+};
+
+module.exports = Camera;
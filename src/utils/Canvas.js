@@ -15,9 +15,11 @@ let Canvas = {};
  * @param {number} height The image height.
  * @param {function} opt_callback Callback that fires when the image is loaded
  *     into the canvas.
+ * @param {function} opt_errorCallback Callback that fires with an `Error`
+ *     when the image fails to load.
  * @static
  */
-Canvas.loadImage = function(canvas, src, x, y, width, height, opt_callback) {
+Canvas.loadImage = function(canvas, src, x, y, width, height, opt_callback, opt_errorCallback) {
   let instance = this;
   let img = new window.Image();
   img.crossOrigin = '*';
@@ -31,6 +33,12 @@ Canvas.loadImage = function(canvas, src, x, y, width, height, opt_callback) {
     }
     img = null;
   };
+  img.onerror = function() {
+    if (opt_errorCallback) {
+      opt_errorCallback.call(instance, new Error('Image failed to load: ' + src + '.'));
+    }
+    img = null;
+  };
   img.src = src;
 };
 
@@ -0,0 +1,336 @@
+const Matrix = require('../math').Matrix;
+
+/**
+ * Color utility to convert colors between the RGB, HSV and CIE Lab spaces,
+ * and to compile color ranges into lookup tables.
+ * @static
+ * @constructor
+ */
+let Color = {};
+
+/**
+ * Holds the number of bits per RGB channel of the lookup tables. With 6
+ * bits a table holds 64 * 64 * 64 entries.
+ * @type {number}
+ * @default 6
+ * @static
+ */
+Color.LOOKUP_BITS = 6;
+
+/**
+ * Holds the supported color spaces.
+ * @type {Array.<string>}
+ * @static
+ */
+Color.SPACES = ['rgb', 'hsv', 'lab'];
+
+/**
+ * Converts an RGB color to HSV.
+ * @param {number} r Red, from 0 to 255.
+ * @param {number} g Green, from 0 to 255.
+ * @param {number} b Blue, from 0 to 255.
+ * @return {Array.<number>} Hue from 0 to 360, saturation and value from 0
+ *     to 100.
+ * @static
+ */
+Color.rgbToHsv = function(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+  let h = 0;
+
+  if (delta > 0) {
+    if (max === r) {
+      h = 60 * (((g - b) / delta) % 6);
+    } else if (max === g) {
+      h = 60 * ((b - r) / delta + 2);
+    } else {
+      h = 60 * ((r - g) / delta + 4);
+    }
+    if (h < 0) {
+      h += 360;
+    }
+  }
+
+  return [h, max ? delta / max * 100 : 0, max / 255 * 100];
+};
+
+/**
+ * Converts an sRGB color to CIE Lab, under the D65 illuminant.
+ * @param {number} r Red, from 0 to 255.
+ * @param {number} g Green, from 0 to 255.
+ * @param {number} b Blue, from 0 to 255.
+ * @return {Array.<number>} Lightness from 0 to 100, a and b roughly from
+ *     -128 to 127.
+ * @static
+ */
+Color.rgbToLab = function(r, g, b) {
+  const linear = function(c) {
+    c /= 255;
+    return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+  };
+  const f = function(t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  };
+
+  const lr = linear(r);
+  const lg = linear(g);
+  const lb = linear(b);
+  const x = f((lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047);
+  const y = f(lr * 0.2126 + lg * 0.7152 + lb * 0.0722);
+  const z = f((lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883);
+
+  return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+};
+
+/**
+ * Converts an RGB color to the given color space.
+ * @param {string} space The color space, 'rgb', 'hsv' or 'lab'.
+ * @param {number} r Red, from 0 to 255.
+ * @param {number} g Green, from 0 to 255.
+ * @param {number} b Blue, from 0 to 255.
+ * @return {Array.<number>}
+ * @static
+ */
+Color.convert = function(space, r, g, b) {
+  switch (space) {
+    case 'hsv':
+      return this.rgbToHsv(r, g, b);
+    case 'lab':
+      return this.rgbToLab(r, g, b);
+    default:
+      return [r, g, b];
+  }
+};
+
+/**
+ * Gets the index of an RGB color in the lookup tables.
+ * @param {number} r Red, from 0 to 255.
+ * @param {number} g Green, from 0 to 255.
+ * @param {number} b Blue, from 0 to 255.
+ * @return {number}
+ * @static
+ */
+Color.lookupIndex = function(r, g, b) {
+  const shift = 8 - Color.LOOKUP_BITS;
+  return ((r >> shift) << (2 * Color.LOOKUP_BITS)) | ((g >> shift) << Color.LOOKUP_BITS) | (b >> shift);
+};
+
+/**
+ * Validates a color range and normalizes it to the `{space, min, max}`,
+ * `{space, center, tolerance}` or `{space, mean, covariance, threshold}`
+ * forms, with three components plain arrays, also for typed array inputs, so
+ * the range serializes to JSON. The latter is a gaussian model, see
+ * `ColorTracker.calibrate`, which may hold a `background` gaussian as well.
+ * @param {object} range The color range.
+ * @return {object} The normalized color range.
+ * @static
+ */
+Color.normalizeRange = function(range) {
+  const isArray = function(o, length) {
+    return (Array.isArray(o) || ArrayBuffer.isView(o)) && o.length === length &&
+      Array.prototype.every.call(o, function(c) {
+        return typeof c === 'number';
+      });
+  };
+  const isTriple = function(o) {
+    return isArray(o, 3);
+  };
+  const isGaussian = function(o) {
+    return !!o && isTriple(o.mean) && isArray(o.covariance, 9);
+  };
+  const space = (range && range.space) || 'rgb';
+
+  if (Color.SPACES.indexOf(space) < 0) {
+    throw new Error('Color space not valid, try "rgb", "hsv" or "lab".');
+  }
+  if (range && isTriple(range.min) && isTriple(range.max)) {
+    return {
+      space,
+      min: Array.from(range.min),
+      max: Array.from(range.max)
+    };
+  }
+  if (range && isTriple(range.center) && (typeof range.tolerance === 'number' || isTriple(range.tolerance))) {
+    return {
+      space,
+      center: Array.from(range.center),
+      tolerance: typeof range.tolerance === 'number' ? range.tolerance : Array.from(range.tolerance)
+    };
+  }
+  if (isGaussian(range) && (!range.background || isGaussian(range.background))) {
+    let gaussian = {
+      space,
+      mean: Array.from(range.mean),
+      covariance: Array.from(range.covariance),
+      threshold: range.threshold || 3
+    };
+    if (range.background) {
+      gaussian.background = {
+        mean: Array.from(range.background.mean),
+        covariance: Array.from(range.background.covariance)
+      };
+    }
+    return gaussian;
+  }
+  throw new Error('Color range not valid, try `{space: "hsv", min: [0, 50, 50], max: [20, 100, 100]}`.');
+};
+
+/**
+ * Gets the difference between two components of colors in a space, hues
+ * wrapping around 360.
+ * @param {string} space The color space.
+ * @param {number} c The component index.
+ * @param {number} value
+ * @param {number} center
+ * @return {number}
+ * @private
+ * @static
+ */
+Color.diff_ = function(space, c, value, center) {
+  let d = value - center;
+  if (space === 'hsv' && c === 0) {
+    d = ((d % 360) + 540) % 360 - 180;
+  }
+  return d;
+};
+
+/**
+ * Creates the log-likelihood function of a gaussian color model, up to a
+ * constant.
+ * @param {string} space The color space.
+ * @param {object} gaussian The `{mean, covariance}` model.
+ * @return {function} The function receiving a color and returning its
+ *     squared Mahalanobis distance and its log-likelihood.
+ * @private
+ * @static
+ */
+Color.createGaussian_ = function(space, gaussian) {
+  const mean = gaussian.mean;
+  const inverse = Matrix.invert3(gaussian.covariance);
+  const logDet = Math.log(Math.abs(Matrix.determinant3(gaussian.covariance)));
+  let d = new Float64Array(3);
+
+  return function(color) {
+    for (let c = 0; c < 3; c++) {
+      d[c] = Color.diff_(space, c, color[c], mean[c]);
+    }
+    let distance = 0;
+    for (let r = 0; r < 3; r++) {
+      distance += d[r] * (inverse[r * 3] * d[0] + inverse[r * 3 + 1] * d[1] + inverse[r * 3 + 2] * d[2]);
+    }
+    return {
+      distance,
+      likelihood: -0.5 * (distance + logDet)
+    };
+  };
+};
+
+/**
+ * Creates the function testing whether a color, in the space of the range,
+ * is inside the range. Hue ranges wrap around 360, e.g. a hue range from
+ * 340 to 20 holds reds. A scalar tolerance is an euclidean distance to the
+ * center, which in Lab is the CIE76 color difference, while a tolerance per
+ * component is a box. Gaussian models hold the colors within `threshold`
+ * standard deviations, i.e. Mahalanobis distance, that are not more likely
+ * to be background.
+ * @param {object} range The normalized color range.
+ * @return {function} The function receiving a color and returning whether
+ *     it is inside the range.
+ * @static
+ */
+Color.createRangeTest = function(range) {
+  const space = range.space;
+
+  if (range.mean) {
+    const foreground = this.createGaussian_(space, range);
+    const background = range.background ? this.createGaussian_(space, range.background) : null;
+    const threshold = range.threshold * range.threshold;
+    return function(color) {
+      const f = foreground(color);
+      return f.distance <= threshold && (!background || f.likelihood >= background(color).likelihood);
+    };
+  }
+
+  if (range.center) {
+    if (typeof range.tolerance === 'number') {
+      const tolerance = range.tolerance * range.tolerance;
+      return function(color) {
+        let sum = 0;
+        for (let c = 0; c < 3; c++) {
+          const d = Color.diff_(space, c, color[c], range.center[c]);
+          sum += d * d;
+        }
+        return sum <= tolerance;
+      };
+    }
+    return function(color) {
+      for (let c = 0; c < 3; c++) {
+        if (Math.abs(Color.diff_(space, c, color[c], range.center[c])) > range.tolerance[c]) {
+          return false;
+        }
+      }
+      return true;
+    };
+  }
+
+  return function(color) {
+    for (let c = 0; c < 3; c++) {
+      const min = range.min[c];
+      const max = range.max[c];
+      if (space === 'hsv' && c === 0 && min > max) {
+        if (color[c] < min && color[c] > max) {
+          return false;
+        }
+      } else if (color[c] < min || color[c] > max) {
+        return false;
+      }
+    }
+    return true;
+  };
+};
+
+/**
+ * Tests whether a color, in the space of the range, is inside the range,
+ * see `Color.createRangeTest`.
+ * @param {object} range The normalized color range.
+ * @param {Array.<number>} color The color in the space of the range.
+ * @return {boolean}
+ * @static
+ */
+Color.inRange = function(range, color) {
+  return this.createRangeTest(range)(color);
+};
+
+/**
+ * Compiles a color range into a lookup table, indexed by
+ * `Color.lookupIndex`. Each entry is evaluated at the center of its RGB
+ * cell.
+ * @param {object} range The color range, see `Color.normalizeRange`.
+ * @return {Uint8Array} The lookup table, 1 for the colors inside the range
+ *     and 0 otherwise.
+ * @static
+ */
+Color.compileRange = function(range) {
+  range = this.normalizeRange(range);
+
+  const bits = Color.LOOKUP_BITS;
+  const size = 1 << bits;
+  const step = 256 / size;
+  const test = this.createRangeTest(range);
+  let table = new Uint8Array(size * size * size);
+  let i = 0;
+
+  for (let r = 0; r < size; r++) {
+    for (let g = 0; g < size; g++) {
+      for (let b = 0; b < size; b++) {
+        const color = this.convert(range.space, (r + 0.5) * step, (g + 0.5) * step, (b + 0.5) * step);
+        table[i++] = test(color) ? 1 : 0;
+      }
+    }
+  }
+
+  return table;
+};
+
+module.exports = Color;
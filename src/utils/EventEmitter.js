@@ -54,6 +54,9 @@ EventEmitter.prototype.listeners = function(event) {
 EventEmitter.prototype.emit = function(event) {
   let listeners = this.listeners(event);
   if (listeners) {
+    // Copies the listeners, so the ones removed while emitting, e.g. by
+    // `once`, do not shift the others out of this loop.
+    listeners = listeners.slice();
     let args = Array.prototype.slice.call(arguments, 1);
     for (let i = 0; i < listeners.length; i++) {
       if (listeners[i]) {
@@ -0,0 +1,176 @@
+/* global performance */
+
+/**
+ * FrameRate utility to throttle the tracking of video frames. In adaptive
+ * mode it measures the per-frame tracking cost and lowers the effective
+ * frame rate, so tracking uses at most `budget` of the main thread time.
+ * @constructor
+ * @param {object} opt_options Optional configuration: `fps`, the maximum
+ *     frame rate, defaults to 60; `adaptive`, whether to adapt the frame
+ *     rate to the tracking cost; `budget`, the fraction of time that
+ *     tracking can use, defaults to 0.5; `minFps`, the minimum adaptive
+ *     frame rate, defaults to 1.
+ */
+let FrameRate = function(opt_options) {
+  const options = opt_options || {};
+  this.maxFps = options.fps || 60;
+  this.minFps = Math.min(options.minFps || 1, this.maxFps);
+  this.budget = options.budget || 0.5;
+  this.adaptive = !!options.adaptive;
+  this.interval_ = 1000 / this.maxFps;
+};
+
+/**
+ * Holds the weight of the latest measure in the moving averages.
+ * @type {number}
+ * @default 0.1
+ * @static
+ */
+FrameRate.SMOOTHING = 0.1;
+
+/**
+ * Gets the current time in milliseconds, with sub-millisecond precision
+ * when available.
+ * @return {number}
+ * @static
+ */
+FrameRate.now = function() {
+  if (typeof performance !== 'undefined' && performance.now) {
+    return performance.now();
+  }
+  return Date.now();
+};
+
+/**
+ * Holds the maximum frame rate.
+ * @type {number}
+ */
+FrameRate.prototype.maxFps = 60;
+
+/**
+ * Holds the minimum frame rate in adaptive mode.
+ * @type {number}
+ */
+FrameRate.prototype.minFps = 1;
+
+/**
+ * Holds the fraction of time that tracking can use in adaptive mode.
+ * @type {number}
+ */
+FrameRate.prototype.budget = 0.5;
+
+/**
+ * Holds whether the frame rate adapts to the tracking cost.
+ * @type {boolean}
+ */
+FrameRate.prototype.adaptive = false;
+
+/**
+ * Holds the effective interval between two tracked frames.
+ * @type {number}
+ * @private
+ */
+FrameRate.prototype.interval_ = 1000 / 60;
+
+/**
+ * Holds the time the interval is counted from.
+ * @type {number}
+ * @private
+ */
+FrameRate.prototype.then_ = 0;
+
+/**
+ * Holds the time of the last tracked frame.
+ * @type {number}
+ * @private
+ */
+FrameRate.prototype.last_ = null;
+
+/**
+ * Holds the moving average of the tracking cost.
+ * @type {number}
+ * @private
+ */
+FrameRate.prototype.cost_ = 0;
+
+/**
+ * Holds the moving average of the achieved frame rate.
+ * @type {number}
+ * @private
+ */
+FrameRate.prototype.fps_ = 0;
+
+/**
+ * Gets the moving average of the achieved frame rate.
+ * @return {number}
+ */
+FrameRate.prototype.getFps = function() {
+  return this.fps_;
+};
+
+/**
+ * Gets the moving average of the per-frame tracking cost in milliseconds.
+ * @return {number}
+ */
+FrameRate.prototype.getCost = function() {
+  return this.cost_;
+};
+
+/**
+ * Gets the effective interval between two tracked frames in milliseconds.
+ * @return {number}
+ */
+FrameRate.prototype.getInterval = function() {
+  return this.interval_;
+};
+
+/**
+ * Records the cost of tracking a frame and, in adaptive mode, adjusts the
+ * effective interval against the budget.
+ * @param {number} cost The tracking cost in milliseconds.
+ */
+FrameRate.prototype.measure = function(cost) {
+  this.cost_ = this.cost_ ? this.cost_ + FrameRate.SMOOTHING * (cost - this.cost_) : cost;
+
+  if (this.adaptive) {
+    this.interval_ = Math.min(1000 / this.minFps, Math.max(1000 / this.maxFps, this.cost_ / this.budget));
+  }
+};
+
+/**
+ * Restarts counting from the given time.
+ * @param {number} now The current time in milliseconds.
+ */
+FrameRate.prototype.reset = function(now) {
+  this.then_ = now;
+  this.last_ = null;
+};
+
+/**
+ * Tests whether a frame should be tracked at the given time, i.e. the
+ * effective interval has elapsed since the previous one.
+ * @param {number} now The current time in milliseconds.
+ * @return {boolean}
+ */
+FrameRate.prototype.shouldTrack = function(now) {
+  const elapsed = now - this.then_;
+  if (elapsed > this.interval_) {
+    this.then_ = now - (elapsed % this.interval_);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Records a tracked frame to compute the achieved frame rate.
+ * @param {number} now The current time in milliseconds.
+ */
+FrameRate.prototype.tick = function(now) {
+  if (this.last_ !== null && now > this.last_) {
+    const fps = 1000 / (now - this.last_);
+    this.fps_ = this.fps_ ? this.fps_ + FrameRate.SMOOTHING * (fps - this.fps_) : fps;
+  }
+  this.last_ = now;
+};
+
+module.exports = FrameRate;
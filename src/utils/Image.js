@@ -130,7 +130,9 @@ Image.computePixelValueRSAT_ = function(RSAT, width, i, j, pixel, pixelAbove) {
  */
 Image.computePixelValueSAT_ = function(SAT, width, i, j, pixel) {
   let w = i * width + j;
-  SAT[w] = (SAT[w - width] || 0) + (SAT[w - 1] || 0) + pixel - (SAT[w - width - 1] || 0);
+  // On the first column, the previous values are the end of the row above.
+  let left = j > 0 ? (SAT[w - 1] || 0) - (SAT[w - width - 1] || 0) : 0;
+  SAT[w] = (SAT[w - width] || 0) + left + pixel;
 };
 
 /**
@@ -321,4 +323,589 @@ Image.sobel = function(pixels, width, height) {
   return output;
 };
 
+/**
+ * Traces the outer contour of the 8-connected blob holding the first
+ * non-zero value of a mask, scanning in major-row order, using the Moore
+ * neighbour tracing algorithm.
+ * @param {Uint8Array} mask The mask in a linear array of `width * height`
+ *     values, non-zero for the blob pixels.
+ * @param {number} width The mask width.
+ * @param {number} height The mask height.
+ * @return {Array.<{x: number, y: number}>} The contour points in clockwise
+ *     order in image coordinates, or an empty array if the mask is empty.
+ * @static
+ */
+Image.traceContour = function(mask, width, height) {
+  // Clockwise neighbour offsets, starting from west.
+  const dx = [-1, -1, 0, 1, 1, 1, 0, -1];
+  const dy = [0, -1, -1, -1, 0, 1, 1, 1];
+  const isSet = function(x, y) {
+    return x >= 0 && x < width && y >= 0 && y < height && mask[y * width + x] !== 0;
+  };
+
+  let start = -1;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) {
+      start = i;
+      break;
+    }
+  }
+  if (start < 0) {
+    return [];
+  }
+
+  const startX = start % width;
+  const startY = (start / width) | 0;
+  let contour = [{ x: startX, y: startY }];
+  let x = startX;
+  let y = startY;
+  // The west neighbour of the first pixel is known to be background.
+  let backtrack = 0;
+  let firstDirection = -1;
+  const maxSteps = 4 * mask.length + 8;
+
+  for (let step = 0; step < maxSteps; step++) {
+    let direction = -1;
+    for (let k = 1; k <= 8; k++) {
+      const d = (backtrack + k) % 8;
+      if (isSet(x + dx[d], y + dy[d])) {
+        direction = d;
+        break;
+      }
+    }
+    if (direction < 0) {
+      break;
+    }
+    if (x === startX && y === startY) {
+      if (direction === firstDirection) {
+        break;
+      }
+      if (firstDirection < 0) {
+        firstDirection = direction;
+      }
+    }
+
+    x += dx[direction];
+    y += dy[direction];
+    // Backtracks to the neighbour checked before the one moved to, seen
+    // from the new pixel.
+    backtrack = (direction + 5 - (direction % 2)) % 8;
+    if (x === startX && y === startY) {
+      continue;
+    }
+    contour.push({ x, y });
+  }
+
+  return contour;
+};
+
+/**
+ * Creates a structuring element for the morphological operations, anchored
+ * at its center.
+ * @param {string} shape The element shape, either `rect`, `cross` or
+ *     `ellipse`.
+ * @param {number} width The element width, must be odd.
+ * @param {number=} opt_height The element height, must be odd. Defaults to
+ *     the width.
+ * @return {{width: number, height: number, data: Uint8Array}} The element,
+ *     `data` holding 1 for the pixels of the shape.
+ * @static
+ */
+Image.createStructuringElement = function(shape, width, opt_height) {
+  const height = opt_height === undefined ? width : opt_height;
+  if (width < 1 || height < 1 || width % 2 === 0 || height % 2 === 0) {
+    throw new Error('Structuring element dimensions should be positive odd numbers.');
+  }
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+  const data = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const nx = cx ? (x - cx) / (cx + 0.5) : 0;
+      const ny = cy ? (y - cy) / (cy + 0.5) : 0;
+      let set;
+      switch (shape) {
+        case 'rect':
+          set = true;
+          break;
+        case 'cross':
+          set = x === cx || y === cy;
+          break;
+        case 'ellipse':
+          set = nx * nx + ny * ny <= 1;
+          break;
+        default:
+          throw new Error('Unknown structuring element shape: ' + shape + '.');
+      }
+      data[y * width + x] = set ? 1 : 0;
+    }
+  }
+  return { width, height, data };
+};
+
+/**
+ * Caches the structuring elements created from a shape name and a size.
+ * @type {Object.<string, {width: number, height: number, data: Uint8Array}>}
+ * @private
+ * @static
+ */
+Image.structuringElements_ = {};
+
+/**
+ * Caches the offsets from the anchor of the pixels of the structuring
+ * elements.
+ * @type {WeakMap.<object, {x: Int32Array, y: Int32Array}>}
+ * @private
+ * @static
+ */
+Image.elementOffsets_ = new WeakMap();
+
+/**
+ * Normalizes a structuring element given either as an element, as a shape
+ * name or as a size of a square `rect`. Defaults to a 3x3 `rect`. The
+ * elements created from a shape are cached.
+ * @param {object|string|number=} opt_element
+ * @return {{width: number, height: number, data: Uint8Array}}
+ * @private
+ * @static
+ */
+Image.toStructuringElement_ = function(opt_element) {
+  let shape = 'rect';
+  let width = 3;
+  let height;
+  if (typeof opt_element === 'number') {
+    width = opt_element;
+  } else if (typeof opt_element === 'string') {
+    shape = opt_element;
+  } else if (opt_element && opt_element.data) {
+    if (opt_element.data.length !== opt_element.width * opt_element.height) {
+      throw new Error('Structuring element data should hold width * height values.');
+    }
+    return opt_element;
+  } else if (opt_element) {
+    shape = opt_element.shape || 'rect';
+    width = opt_element.width || 3;
+    height = opt_element.height;
+  }
+
+  const key = shape + ':' + width + 'x' + (height === undefined ? width : height);
+  if (!Image.structuringElements_[key]) {
+    Image.structuringElements_[key] = Image.createStructuringElement(shape, width, height);
+  }
+  return Image.structuringElements_[key];
+};
+
+/**
+ * Gets the offsets from the anchor of the pixels of a structuring element,
+ * computed once per element.
+ * @param {{width: number, height: number, data: Uint8Array}} element
+ * @return {{x: Int32Array, y: Int32Array}}
+ * @private
+ * @static
+ */
+Image.getElementOffsets_ = function(element) {
+  let offsets = Image.elementOffsets_.get(element);
+  if (offsets) {
+    return offsets;
+  }
+
+  const cx = (element.width - 1) >> 1;
+  const cy = (element.height - 1) >> 1;
+  let x = [];
+  let y = [];
+  for (let i = 0; i < element.height; i++) {
+    for (let j = 0; j < element.width; j++) {
+      if (element.data[i * element.width + j]) {
+        x.push(j - cx);
+        y.push(i - cy);
+      }
+    }
+  }
+  offsets = { x: new Int32Array(x), y: new Int32Array(y) };
+  Image.elementOffsets_.set(element, offsets);
+  return offsets;
+};
+
+/**
+ * Applies a binary erosion or dilation of a mask. Pixels of the element
+ * falling out of the mask take the `border` value.
+ * @param {array} mask The mask in a linear array of `width * height`
+ *     values, non-zero for the foreground pixels.
+ * @param {number} width The mask width.
+ * @param {number} height The mask height.
+ * @param {object|string|number=} opt_element The structuring element.
+ * @param {boolean} dilate Whether to dilate instead of eroding.
+ * @param {number=} opt_border The value of the pixels out of the mask, 0
+ *     for background or 1 for foreground. Defaults to 0.
+ * @param {Uint8Array=} opt_output Optional buffer of at least `width *
+ *     height` values to write the result to, other than the mask.
+ * @return {Uint8Array} The resulting mask with values 0 or 1.
+ * @private
+ * @static
+ */
+Image.morph_ = function(mask, width, height, opt_element, dilate, opt_border, opt_output) {
+  const border = opt_border ? 1 : 0;
+  const offsets = Image.getElementOffsets_(Image.toStructuringElement_(opt_element));
+  const offsetsX = offsets.x;
+  const offsetsY = offsets.y;
+
+  // Erosion keeps a pixel when the element fits in the foreground, dilation
+  // sets it when the reflected element meets the foreground.
+  const sign = dilate ? -1 : 1;
+  const output = opt_output || new Uint8Array(width * height);
+  for (let i = 0; i < height; i++) {
+    for (let j = 0; j < width; j++) {
+      let value = dilate ? 0 : 1;
+      for (let k = 0; k < offsetsX.length; k++) {
+        const y = i + sign * offsetsY[k];
+        const x = j + sign * offsetsX[k];
+        const pixel = y < 0 || y >= height || x < 0 || x >= width ? border : mask[y * width + x];
+        if (dilate ? pixel : !pixel) {
+          value = dilate ? 1 : 0;
+          break;
+        }
+      }
+      output[i * width + j] = value;
+    }
+  }
+  return output;
+};
+
+/**
+ * Erodes a binary mask, shrinking the foreground and removing the regions
+ * smaller than the structuring element.
+ * @param {array} mask The mask in a linear array of `width * height`
+ *     values, non-zero for the foreground pixels.
+ * @param {number} width The mask width.
+ * @param {number} height The mask height.
+ * @param {object|string|number=} opt_element The structuring element, as
+ *     created by `Image.createStructuringElement`, a shape name or a square
+ *     size. Defaults to a 3x3 `rect`.
+ * @param {number=} opt_border The value of the pixels out of the mask, 0
+ *     for background or 1 for foreground. Defaults to 0.
+ * @return {Uint8Array} The eroded mask with values 0 or 1.
+ * @static
+ */
+Image.erode = function(mask, width, height, opt_element, opt_border) {
+  return Image.morph_(mask, width, height, opt_element, false, opt_border);
+};
+
+/**
+ * Dilates a binary mask, growing the foreground and filling the gaps
+ * smaller than the structuring element.
+ * @param {array} mask The mask in a linear array of `width * height`
+ *     values, non-zero for the foreground pixels.
+ * @param {number} width The mask width.
+ * @param {number} height The mask height.
+ * @param {object|string|number=} opt_element The structuring element, as
+ *     created by `Image.createStructuringElement`, a shape name or a square
+ *     size. Defaults to a 3x3 `rect`.
+ * @param {number=} opt_border The value of the pixels out of the mask, 0
+ *     for background or 1 for foreground. Defaults to 0.
+ * @return {Uint8Array} The dilated mask with values 0 or 1.
+ * @static
+ */
+Image.dilate = function(mask, width, height, opt_element, opt_border) {
+  return Image.morph_(mask, width, height, opt_element, true, opt_border);
+};
+
+/**
+ * Opens a binary mask, an erosion followed by a dilation, removing the
+ * noise smaller than the structuring element.
+ * @param {array} mask The mask in a linear array of `width * height`
+ *     values, non-zero for the foreground pixels.
+ * @param {number} width The mask width.
+ * @param {number} height The mask height.
+ * @param {object|string|number=} opt_element The structuring element.
+ * @param {number=} opt_border The value of the pixels out of the mask, 0
+ *     for background or 1 for foreground. Defaults to 0.
+ * @return {Uint8Array} The opened mask with values 0 or 1.
+ * @static
+ */
+Image.open = function(mask, width, height, opt_element, opt_border) {
+  const element = Image.toStructuringElement_(opt_element);
+  return Image.dilate(Image.erode(mask, width, height, element, opt_border), width, height, element, opt_border);
+};
+
+/**
+ * Closes a binary mask, a dilation followed by an erosion, filling the
+ * holes and joining the fragments closer than the structuring element.
+ * @param {array} mask The mask in a linear array of `width * height`
+ *     values, non-zero for the foreground pixels.
+ * @param {number} width The mask width.
+ * @param {number} height The mask height.
+ * @param {object|string|number=} opt_element The structuring element.
+ * @param {number=} opt_border The value of the pixels out of the mask, 0
+ *     for background or 1 for foreground. Defaults to 0.
+ * @return {Uint8Array} The closed mask with values 0 or 1.
+ * @static
+ */
+Image.close = function(mask, width, height, opt_element, opt_border) {
+  const element = Image.toStructuringElement_(opt_element);
+  return Image.erode(Image.dilate(mask, width, height, element, opt_border), width, height, element, opt_border);
+};
+
+/**
+ * Holds the erosions and dilations of each morphological operation, `true`
+ * standing for a dilation.
+ * @type {Object.<string, Array.<boolean>>}
+ * @private
+ * @static
+ */
+Image.morphologySteps_ = {
+  erode: [false],
+  dilate: [true],
+  open: [false, true],
+  close: [true, false]
+};
+
+/**
+ * Applies a sequence of morphological operations to a binary mask.
+ * @param {array} mask The mask in a linear array of `width * height`
+ *     values, non-zero for the foreground pixels.
+ * @param {number} width The mask width.
+ * @param {number} height The mask height.
+ * @param {Array.<{operation: string, element: (object|string|number),
+ *     border: number}>} operations The operations, `erode`, `dilate`,
+ *     `open` or `close`, in the order to apply, with their optional
+ *     structuring element and border value.
+ * @param {Array.<Uint8Array>=} opt_buffers Optional pair of buffers of at
+ *     least `width * height` values, other than the mask, to write the
+ *     intermediate and final results to instead of allocating them.
+ * @return {Uint8Array} The resulting mask with values 0 or 1, one of the
+ *     buffers when given.
+ * @static
+ */
+Image.morphology = function(mask, width, height, operations, opt_buffers) {
+  let output = mask;
+  for (let i = 0; i < operations.length; i++) {
+    const op = operations[i];
+    const steps = Image.morphologySteps_.hasOwnProperty(op.operation) ? Image.morphologySteps_[op.operation] : null;
+    if (!steps) {
+      throw new Error('Unknown morphological operation: ' + op.operation + '.');
+    }
+    for (let s = 0; s < steps.length; s++) {
+      let target;
+      if (opt_buffers) {
+        target = output === opt_buffers[0] ? opt_buffers[1] : opt_buffers[0];
+      }
+      output = Image.morph_(output, width, height, op.element, steps[s], op.border, target);
+    }
+  }
+  if (output !== mask) {
+    return output;
+  }
+
+  output = opt_buffers ? opt_buffers[0] : new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    output[i] = mask[i] ? 1 : 0;
+  }
+  return output;
+};
+
+/**
+ * Computes the mean of the red, green and blue channels of the pixels.
+ * @param {array} pixels The pixels in a linear [r,g,b,a,...] array.
+ * @param {Uint8Array=} opt_mask Optional mask of the pixels to average, in
+ *     a linear array of non-zero values for them, e.g. the regions of
+ *     interest, see `Region.createMask`.
+ * @return {Array.<number>} The `[r, g, b]` means.
+ * @static
+ */
+Image.channelMeans = function(pixels, opt_mask) {
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let total = 0;
+  for (let w = 0; w < pixels.length; w += 4) {
+    if (opt_mask && !opt_mask[w >> 2]) {
+      continue;
+    }
+    r += pixels[w];
+    g += pixels[w + 1];
+    b += pixels[w + 2];
+    total++;
+  }
+  total = Math.max(1, total);
+  return [r / total, g / total, b / total];
+};
+
+/**
+ * Multiplies the red, green and blue channels of the pixels by gains.
+ * @param {array} pixels The pixels in a linear [r,g,b,a,...] array.
+ * @param {Array.<number>} gains The `[r, g, b]` gains.
+ * @param {Uint8ClampedArray=} opt_output The array to fill.
+ * @return {Uint8ClampedArray} The pixels in a linear [r,g,b,a,...] array.
+ * @private
+ * @static
+ */
+Image.applyGains_ = function(pixels, gains, opt_output) {
+  const output = opt_output || new Uint8ClampedArray(pixels.length);
+  for (let w = 0; w < pixels.length; w += 4) {
+    output[w] = pixels[w] * gains[0];
+    output[w + 1] = pixels[w + 1] * gains[1];
+    output[w + 2] = pixels[w + 2] * gains[2];
+    output[w + 3] = pixels[w + 3];
+  }
+  return output;
+};
+
+/**
+ * Balances the white of the pixels assuming the average color of the scene
+ * is gray, scaling each channel to the mean of the three channel means.
+ * @param {array} pixels The pixels in a linear [r,g,b,a,...] array.
+ * @param {number} width The image width.
+ * @param {number} height The image height.
+ * @param {Uint8ClampedArray=} opt_output The array to fill, instead of
+ *     allocating a new one.
+ * @param {Uint8Array=} opt_mask Optional mask of the pixels the means are
+ *     computed on, see `Image.channelMeans`.
+ * @return {Uint8ClampedArray} The balanced pixels in a linear
+ *     [r,g,b,a,...] array.
+ * @static
+ */
+Image.grayWorld = function(pixels, width, height, opt_output, opt_mask) {
+  const means = Image.channelMeans(pixels, opt_mask);
+  const gray = (means[0] + means[1] + means[2]) / 3;
+  return Image.applyGains_(pixels, means.map(function(mean) {
+    return mean ? gray / mean : 1;
+  }), opt_output);
+};
+
+/**
+ * Balances the white of the pixels assuming the brightest color of the
+ * scene is white, scaling each channel so that its 99th percentile, robust
+ * to a few saturated pixels, becomes 255.
+ * @param {array} pixels The pixels in a linear [r,g,b,a,...] array.
+ * @param {number} width The image width.
+ * @param {number} height The image height.
+ * @param {Uint8ClampedArray=} opt_output The array to fill, instead of
+ *     allocating a new one.
+ * @param {Uint8Array=} opt_mask Optional mask of the pixels the percentiles
+ *     are computed on, see `Image.channelMeans`.
+ * @return {Uint8ClampedArray} The balanced pixels in a linear
+ *     [r,g,b,a,...] array.
+ * @static
+ */
+Image.whitePatch = function(pixels, width, height, opt_output, opt_mask) {
+  let histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  let total = 0;
+  for (let w = 0; w < pixels.length; w += 4) {
+    if (opt_mask && !opt_mask[w >> 2]) {
+      continue;
+    }
+    histograms[0][pixels[w]]++;
+    histograms[1][pixels[w + 1]]++;
+    histograms[2][pixels[w + 2]]++;
+    total++;
+  }
+  const skipped = Math.floor(total * 0.01);
+  return Image.applyGains_(pixels, histograms.map(function(histogram) {
+    let count = 0;
+    for (let value = 255; value > 0; value--) {
+      count += histogram[value];
+      if (count > skipped) {
+        return 255 / value;
+      }
+    }
+    return 1;
+  }), opt_output);
+};
+
+/**
+ * Normalizes the chromaticity of the pixels, dividing each channel by the
+ * sum of the three channels, so that the colors no longer depend on the
+ * intensity of the light. Channels are scaled to 255 for a pure color, the
+ * gray pixels becoming `[85, 85, 85]`, thus the colors to track should be
+ * defined, or calibrated, on normalized pixels.
+ * @param {array} pixels The pixels in a linear [r,g,b,a,...] array.
+ * @param {number} width The image width.
+ * @param {number} height The image height.
+ * @param {Uint8ClampedArray=} opt_output The array to fill, instead of
+ *     allocating a new one.
+ * @return {Uint8ClampedArray} The normalized pixels in a linear
+ *     [r,g,b,a,...] array.
+ * @static
+ */
+Image.chromaticity = function(pixels, width, height, opt_output) {
+  const output = opt_output || new Uint8ClampedArray(pixels.length);
+  for (let w = 0; w < pixels.length; w += 4) {
+    const sum = pixels[w] + pixels[w + 1] + pixels[w + 2];
+    const factor = sum ? 255 / sum : 0;
+    output[w] = pixels[w] * factor;
+    output[w + 1] = pixels[w + 1] * factor;
+    output[w + 2] = pixels[w + 2] * factor;
+    output[w + 3] = pixels[w + 3];
+  }
+  return output;
+};
+
+/**
+ * Compensates the gain of the pixels against a reference frame, scaling
+ * each channel so that its mean matches the one of the reference, e.g. to
+ * undo the automatic exposure and white balance of a camera.
+ * @param {array} pixels The pixels in a linear [r,g,b,a,...] array.
+ * @param {number} width The image width.
+ * @param {number} height The image height.
+ * @param {array} reference The reference frame pixels in a linear
+ *     [r,g,b,a,...] array, or its `[r, g, b]` channel means.
+ * @param {Uint8ClampedArray=} opt_output The array to fill, instead of
+ *     allocating a new one.
+ * @param {Uint8Array=} opt_mask Optional mask of the pixels the means of
+ *     the frame and of the reference frame are computed on, see
+ *     `Image.channelMeans`.
+ * @return {Uint8ClampedArray} The compensated pixels in a linear
+ *     [r,g,b,a,...] array.
+ * @static
+ */
+Image.compensateGain = function(pixels, width, height, reference, opt_output, opt_mask) {
+  const target = reference.length === 3 ? reference : Image.channelMeans(reference, opt_mask);
+  const means = Image.channelMeans(pixels, opt_mask);
+  return Image.applyGains_(pixels, means.map(function(mean, c) {
+    return mean ? target[c] / mean : 1;
+  }), opt_output);
+};
+
+/**
+ * Holds the illumination normalization modes of `Image.normalizeIllumination`.
+ * @type {Array.<string>}
+ * @static
+ */
+Image.illuminationModes = ['grayWorld', 'whitePatch', 'chromaticity', 'gain'];
+
+/**
+ * Normalizes the illumination of the pixels with one of the modes
+ * `grayWorld`, `whitePatch`, `chromaticity` or `gain`.
+ * @param {array} pixels The pixels in a linear [r,g,b,a,...] array.
+ * @param {number} width The image width.
+ * @param {number} height The image height.
+ * @param {string} mode The normalization mode.
+ * @param {{reference: array, output: Uint8ClampedArray, mask: Uint8Array}=}
+ *     opt_options The `reference` frame or channel means required by the
+ *     `gain` mode, the `output` array to fill, and the `mask` of the pixels
+ *     the statistics of the frame are computed on, e.g. the regions of
+ *     interest, see `Region.createMask`.
+ * @return {Uint8ClampedArray} The normalized pixels in a linear
+ *     [r,g,b,a,...] array.
+ * @static
+ */
+Image.normalizeIllumination = function(pixels, width, height, mode, opt_options) {
+  const options = opt_options || {};
+  switch (mode) {
+    case 'grayWorld':
+      return Image.grayWorld(pixels, width, height, options.output, options.mask);
+    case 'whitePatch':
+      return Image.whitePatch(pixels, width, height, options.output, options.mask);
+    case 'chromaticity':
+      return Image.chromaticity(pixels, width, height, options.output);
+    case 'gain':
+      if (!options.reference) {
+        throw new Error('A reference frame is required to compensate the gain.');
+      }
+      return Image.compensateGain(pixels, width, height, options.reference, options.output, options.mask);
+    default:
+      throw new Error('Unknown illumination normalization mode: ' + mode + '.');
+  }
+};
+
 module.exports = Image;
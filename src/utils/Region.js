@@ -0,0 +1,283 @@
+const DisjointSet = require('./DisjointSet');
+const TrackingMath = require('../math').TrackingMath;
+
+/**
+ * Region utility to handle the regions of interest of a frame. A region is
+ * either a rectangle `{x, y, width, height}` or a polygon given as an array
+ * of at least three `{x, y}` points.
+ * @static
+ * @constructor
+ */
+let Region = {};
+
+/**
+ * Tests whether the object is a rectangle region.
+ * @param {object} o Object to be tested.
+ * @return {boolean}
+ * @static
+ */
+Region.isRect = function(o) {
+  return !!o && !Array.isArray(o) && typeof o.x === 'number' && typeof o.y === 'number' &&
+    typeof o.width === 'number' && typeof o.height === 'number';
+};
+
+/**
+ * Tests whether the object is a polygon region.
+ * @param {object} o Object to be tested.
+ * @return {boolean}
+ * @static
+ */
+Region.isPolygon = function(o) {
+  return Array.isArray(o) && o.length >= 3 && o.every(function(point) {
+    return !!point && typeof point.x === 'number' && typeof point.y === 'number' && point.width === undefined;
+  });
+};
+
+/**
+ * Normalizes one or more regions to an array of regions.
+ * @param {object|Array.<object>} regions A rectangle, a polygon or an array
+ *     of them.
+ * @return {Array.<object>} The array of regions.
+ * @static
+ */
+Region.normalize = function(regions) {
+  if (this.isRect(regions) || this.isPolygon(regions)) {
+    return [regions];
+  }
+  if (!Array.isArray(regions) || !regions.every((region) => this.isRect(region) || this.isPolygon(region))) {
+    throw new Error('Region not valid, try `{x: 0, y: 0, width: 100, height: 100}` or an array of `{x, y}` points.');
+  }
+  return regions;
+};
+
+/**
+ * Gets the integer bounding box of a region, clipped to the frame.
+ * @param {object} region The rectangle or polygon region.
+ * @param {number} width The frame width.
+ * @param {number} height The frame height.
+ * @return {object} The bounding box `{x, y, width, height}`, which may be
+ *     empty if the region is outside the frame.
+ * @static
+ */
+Region.getBoundingBox = function(region, width, height) {
+  let minx = region.x;
+  let miny = region.y;
+  let maxx = region.x + region.width;
+  let maxy = region.y + region.height;
+
+  if (this.isPolygon(region)) {
+    minx = miny = Infinity;
+    maxx = maxy = -Infinity;
+    region.forEach(function(point) {
+      minx = Math.min(minx, point.x);
+      miny = Math.min(miny, point.y);
+      maxx = Math.max(maxx, point.x);
+      maxy = Math.max(maxy, point.y);
+    });
+  }
+
+  const x0 = Math.max(0, Math.floor(minx));
+  const y0 = Math.max(0, Math.floor(miny));
+  const x1 = Math.min(width, Math.ceil(maxx));
+  const y1 = Math.min(height, Math.ceil(maxy));
+
+  return {
+    x: x0,
+    y: y0,
+    width: Math.max(0, x1 - x0),
+    height: Math.max(0, y1 - y0)
+  };
+};
+
+/**
+ * Gets the integer bounding box of several regions, clipped to the frame.
+ * @param {Array.<object>} regions The rectangle or polygon regions.
+ * @param {number} width The frame width.
+ * @param {number} height The frame height.
+ * @return {object} The bounding box `{x, y, width, height}`, which may be
+ *     empty if the regions are outside the frame.
+ * @static
+ */
+Region.getUnionBoundingBox = function(regions, width, height) {
+  let x0 = width;
+  let y0 = height;
+  let x1 = 0;
+  let y1 = 0;
+
+  regions.forEach((region) => {
+    const box = this.getBoundingBox(region, width, height);
+    if (box.width && box.height) {
+      x0 = Math.min(x0, box.x);
+      y0 = Math.min(y0, box.y);
+      x1 = Math.max(x1, box.x + box.width);
+      y1 = Math.max(y1, box.y + box.height);
+    }
+  });
+
+  if (x0 >= x1 || y0 >= y1) {
+    return { x: 0, y: 0, width: 0, height: 0 };
+  }
+  return {
+    x: x0,
+    y: y0,
+    width: x1 - x0,
+    height: y1 - y0
+  };
+};
+
+/**
+ * Tests whether the point P(x, y) is inside a region, using the even-odd
+ * rule for polygons.
+ * @param {object} region The rectangle or polygon region.
+ * @param {number} x Horizontal coordinate of P.
+ * @param {number} y Vertical coordinate of P.
+ * @return {boolean}
+ * @static
+ */
+Region.contains = function(region, x, y) {
+  if (!this.isPolygon(region)) {
+    return x >= region.x && x < region.x + region.width && y >= region.y && y < region.y + region.height;
+  }
+
+  let inside = false;
+  for (let i = 0, j = region.length - 1; i < region.length; j = i++) {
+    const pi = region[i];
+    const pj = region[j];
+    if ((pi.y > y) !== (pj.y > y) && x < (pj.x - pi.x) * (y - pi.y) / (pj.y - pi.y) + pi.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Groups the regions whose bounding boxes overlap or touch, transitively,
+ * so that a blob lying in several regions of a group, or crossing from one
+ * to another, is tracked once, see `Tracker.prototype.trackRegions_`.
+ * @param {Array.<object>} regions The rectangle or polygon regions.
+ * @param {number} width The frame width.
+ * @param {number} height The frame height.
+ * @return {Array.<Array.<object>>} The groups of regions, in the order of
+ *     their first region, without the regions outside the frame.
+ * @static
+ */
+Region.group = function(regions, width, height) {
+  const boxes = regions.map((region) => this.getBoundingBox(region, width, height));
+  let disjointSet = new DisjointSet(regions.length);
+  for (let i = 0; i < boxes.length; i++) {
+    for (let j = i + 1; j < boxes.length; j++) {
+      const a = boxes[i];
+      const b = boxes[j];
+      if (TrackingMath.intersectRect(a.x, a.y, a.x + a.width, a.y + a.height,
+          b.x, b.y, b.x + b.width, b.y + b.height)) {
+        disjointSet.union(i, j);
+      }
+    }
+  }
+
+  let groups = {};
+  let order = [];
+  regions.forEach(function(region, i) {
+    if (!boxes[i].width || !boxes[i].height) {
+      return;
+    }
+    const rep = disjointSet.find(i);
+    if (!groups[rep]) {
+      groups[rep] = [];
+      order.push(rep);
+    }
+    groups[rep].push(region);
+  });
+  return order.map(function(rep) {
+    return groups[rep];
+  });
+};
+
+/**
+ * Tests whether the pixel at i,j is inside a region, that is inside the
+ * bounding box of a rectangle or, for polygons, whether its center is.
+ * @param {object} region The rectangle or polygon region.
+ * @param {object} box The bounding box of the region, see
+ *     `Region.getBoundingBox`.
+ * @param {number} i The pixel row.
+ * @param {number} j The pixel column.
+ * @return {boolean}
+ * @private
+ * @static
+ */
+Region.containsPixel_ = function(region, box, i, j) {
+  if (!this.isPolygon(region)) {
+    return j >= box.x && j < box.x + box.width && i >= box.y && i < box.y + box.height;
+  }
+  return this.contains(region, j + 0.5, i + 0.5);
+};
+
+/**
+ * Crops the pixels inside one or more regions. The pixels of the bounding
+ * box outside the regions, e.g. outside a polygon, are cleared to
+ * transparent black.
+ * @param {Uint8ClampedArray} pixels The pixels in a linear [r,g,b,a,...]
+ *     array.
+ * @param {number} width The frame width.
+ * @param {object|Array.<object>} regions The rectangle or polygon region,
+ *     or several of them, see `Region.group`.
+ * @param {object} box The bounding box of the regions, see
+ *     `Region.getBoundingBox` and `Region.getUnionBoundingBox`.
+ * @return {Uint8ClampedArray} The cropped pixels of size `box.width *
+ *     box.height * 4`.
+ * @static
+ */
+Region.crop = function(pixels, width, regions, box) {
+  regions = this.normalize(regions);
+  let cropped = new Uint8ClampedArray(box.width * box.height * 4);
+  const masked = regions.length > 1 || this.isPolygon(regions[0]);
+  const boxes = regions.map((region) => this.getBoundingBox(region, box.x + box.width, box.y + box.height));
+
+  for (let i = 0; i < box.height; i++) {
+    const from = ((box.y + i) * width + box.x) * 4;
+    cropped.set(pixels.subarray(from, from + box.width * 4), i * box.width * 4);
+
+    if (masked) {
+      for (let j = 0; j < box.width; j++) {
+        let inside = false;
+        for (let k = 0; k < regions.length && !inside; k++) {
+          inside = this.containsPixel_(regions[k], boxes[k], box.y + i, box.x + j);
+        }
+        if (!inside) {
+          cropped.fill(0, (i * box.width + j) * 4, (i * box.width + j + 1) * 4);
+        }
+      }
+    }
+  }
+
+  return cropped;
+};
+
+/**
+ * Creates the mask of the pixels inside the regions, the ones cropped by
+ * `Region.crop`.
+ * @param {Array.<object>} regions The rectangle or polygon regions.
+ * @param {number} width The frame width.
+ * @param {number} height The frame height.
+ * @param {Uint8Array=} opt_output The array to fill, instead of allocating
+ *     a new one.
+ * @return {Uint8Array} The mask in a linear array of `width * height`
+ *     values, 1 for the pixels inside the regions.
+ * @static
+ */
+Region.createMask = function(regions, width, height, opt_output) {
+  let mask = opt_output ? opt_output.fill(0) : new Uint8Array(width * height);
+  regions.forEach((region) => {
+    const box = this.getBoundingBox(region, width, height);
+    for (let i = box.y; i < box.y + box.height; i++) {
+      for (let j = box.x; j < box.x + box.width; j++) {
+        if (this.containsPixel_(region, box, i, j)) {
+          mask[i * width + j] = 1;
+        }
+      }
+    }
+  });
+  return mask;
+};
+
+module.exports = Region;
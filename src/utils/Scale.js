@@ -1,28 +1,85 @@
 /**
  * Scale utility to achieve auto scaling of canvas to improve performance.
- * @static
+ * Each tracking task holds its own instance, so tasks tracking different
+ * elements do not affect each other.
  * @constructor
+ * @param {number} opt_pixelBudget Optional maximum number of pixels of the
+ *     scaled canvas, defaults to `Scale.PIXEL_BUDGET`.
  */
-let Scale = {};
+let Scale = function(opt_pixelBudget) {
+  this.pixelBudget = opt_pixelBudget || Scale.PIXEL_BUDGET;
+};
 
 /**
- * Holds the scale of original size.
+ * Holds the default maximum number of pixels of the scaled canvas.
+ * @type {number}
+ * @default 50000
+ * @static
+ */
+Scale.PIXEL_BUDGET = 50000;
+
+/**
+ * Holds the scale of the global scaling.
  * @type {number}
  * @default 1.0
  * @static
+ * @deprecated The trackers do not use it anymore, each tracking task holds
+ *     its own `Scale` instance, see `tracking.TrackerTask.prototype.getScale`.
  */
 Scale.scale = 1.0;
 
 /**
- * Adjusts the scale of original size.
+ * Adjusts the scale of the global scaling, so the scaled canvas fits in the
+ * default pixel budget.
  * @param {number} width Original canvas's width.
  * @param {number} height Original canvas's height.
  * @static
+ * @deprecated Use `Scale.prototype.adjustScale` on the scale of a task.
  */
 Scale.adjustScale = function (width, height) {
-  const PIXEL_THRESHOLD = 50000;
-  let ratio = 1 / (Math.sqrt(width * height / PIXEL_THRESHOLD));
-  this.scale = this.normalizeScale(ratio);
+  Scale.scale = Scale.fitScale_(width, height, Scale.PIXEL_BUDGET);
+};
+
+/**
+ * Computes the scale of a canvas so that it fits in a pixel budget.
+ * @param {number} width Original canvas's width.
+ * @param {number} height Original canvas's height.
+ * @param {number} pixelBudget The maximum number of pixels.
+ * @return {number} The normalized scale.
+ * @private
+ * @static
+ */
+Scale.fitScale_ = function (width, height, pixelBudget) {
+  let ratio = 1 / (Math.sqrt(width * height / pixelBudget));
+  return Scale.normalizeScale(ratio);
+};
+
+/**
+ * Deeply copies tracked results, or an event holding them, so they can be
+ * transformed without affecting the listeners holding the originals. The
+ * objects shared by several results, e.g. the results grouped in `byColor`,
+ * stay shared in the copy. Typed arrays, e.g. masks, are not copied.
+ * @param {*} value The results or the event.
+ * @return {*} The copy.
+ * @static
+ */
+Scale.copy = function (value) {
+  const copies = new Map();
+  const copy = function (value) {
+    if (!value || typeof value !== 'object' || ArrayBuffer.isView(value)) {
+      return value;
+    }
+    if (copies.has(value)) {
+      return copies.get(value);
+    }
+    const result = Array.isArray(value) ? [] : {};
+    copies.set(value, result);
+    Object.keys(value).forEach(function (key) {
+      result[key] = copy(value[key]);
+    });
+    return result;
+  };
+  return copy(value);
 };
 
 /**
@@ -36,7 +93,126 @@ Scale.normalizeScale = function (s) {
     return 1;
   }
 
-  return Math.round(s * 10) / 10;
+  return Math.max(0.1, Math.round(s * 10) / 10);
+};
+
+/**
+ * Transforms the coordinates of tracked results, i.e. `x`, `y`, `width`,
+ * `height` and the geometry of blobs: `area`, `centroid`, `ellipse`,
+ * `contour` and `hull`. Each coordinate `c` becomes `c * factor + offset`.
+ * @param {Array.<object>} results The tracked results, updated in place.
+ * @param {number} factor The scale factor.
+ * @param {number} dx The horizontal offset.
+ * @param {number} dy The vertical offset.
+ * @return {Array.<object>} The same results.
+ * @static
+ */
+Scale.transform = function (results, factor, dx, dy) {
+  const transformPoint = function (point) {
+    point.x = point.x * factor + dx;
+    point.y = point.y * factor + dy;
+  };
+
+  results.forEach(function (result) {
+    if (typeof result.x === 'number') {
+      transformPoint(result);
+    }
+    if (typeof result.width === 'number') {
+      result.width *= factor;
+      result.height *= factor;
+    }
+    if (typeof result.area === 'number') {
+      result.area *= factor * factor;
+    }
+    if (result.centroid) {
+      transformPoint(result.centroid);
+    }
+    if (result.ellipse) {
+      transformPoint(result.ellipse);
+      result.ellipse.majorAxis *= factor;
+      result.ellipse.minorAxis *= factor;
+    }
+    [result.contour, result.hull].forEach(function (points) {
+      if (points) {
+        points.forEach(transformPoint);
+      }
+    });
+  });
+  return results;
+};
+
+/**
+ * Holds the scale of original size.
+ * @type {number}
+ * @default 1.0
+ */
+Scale.prototype.scale = 1.0;
+
+/**
+ * Holds the maximum number of pixels of the scaled canvas.
+ * @type {number}
+ * @default 50000
+ */
+Scale.prototype.pixelBudget = 50000;
+
+/**
+ * Adjusts the scale of original size, so the scaled canvas fits in the
+ * pixel budget.
+ * @param {number} width Original canvas's width.
+ * @param {number} height Original canvas's height.
+ */
+Scale.prototype.adjustScale = function (width, height) {
+  this.scale = Scale.fitScale_(width, height, this.pixelBudget);
+};
+
+/**
+ * Maps the coordinates of tracked results from the scaled canvas back into
+ * the original size, see `Scale.transform`. The `x`, `y`, `width` and
+ * `height` are rounded. The results are updated in place, see `Scale.copy`
+ * to keep the originals.
+ * @param {Array.<object>|object} results The tracked results, or a single
+ *     result. Other values are returned as is.
+ * @return {Array.<object>|object} The same results.
+ */
+Scale.prototype.rescale = function (results) {
+  const scale = this.scale;
+  if (scale === 1 || !results || typeof results !== 'object') {
+    return results;
+  }
+
+  const list = Array.isArray(results) ? results : [results];
+  Scale.transform(list, 1 / scale, 0, 0);
+  list.forEach(function (result) {
+    ['x', 'y', 'width', 'height'].forEach(function (key) {
+      if (typeof result[key] === 'number') {
+        result[key] = Math.round(result[key]);
+      }
+    });
+  });
+  return results;
+};
+
+/**
+ * Maps regions from the original size into the scaled canvas.
+ * @param {Array.<object>} regions Rectangles or polygons, see
+ *     `tracking.Region`.
+ * @return {Array.<object>} The scaled regions.
+ */
+Scale.prototype.scaleRegions = function (regions) {
+  const scale = this.scale;
+  return regions.map(function (region) {
+    if (Array.isArray(region)) {
+      return region.map(function (point) {
+        return { x: point.x * scale, y: point.y * scale };
+      });
+    }
+    return {
+      x: region.x * scale,
+      y: region.y * scale,
+      width: region.width * scale,
+      height: region.height * scale
+    };
+  });
 };
 
 module.exports = Scale;
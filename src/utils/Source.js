@@ -0,0 +1,131 @@
+/* global ImageBitmap, OffscreenCanvas, VideoFrame */
+
+/**
+ * Source utility to extract the pixels of the frame sources that are not
+ * dom nodes: `ImageData`, `ImageBitmap`, `OffscreenCanvas`, WebCodecs
+ * `VideoFrame` and plain `{data, width, height}` objects.
+ * @static
+ * @constructor
+ */
+let Source = {};
+
+/**
+ * Tests whether the object already holds its pixels, e.g. `ImageData` or a
+ * plain `{data, width, height}` object.
+ * @param {object} o Object to be tested.
+ * @return {boolean}
+ * @static
+ */
+Source.isPixels = function(o) {
+  return !!(o && o.data && typeof o.data.length === 'number' &&
+    typeof o.width === 'number' && typeof o.height === 'number');
+};
+
+/**
+ * Tests whether the object is an `ImageBitmap`.
+ * @param {object} o Object to be tested.
+ * @return {boolean}
+ * @static
+ */
+Source.isImageBitmap = function(o) {
+  return typeof ImageBitmap !== 'undefined' && o instanceof ImageBitmap;
+};
+
+/**
+ * Tests whether the object is an `OffscreenCanvas`.
+ * @param {object} o Object to be tested.
+ * @return {boolean}
+ * @static
+ */
+Source.isOffscreenCanvas = function(o) {
+  return typeof OffscreenCanvas !== 'undefined' && o instanceof OffscreenCanvas;
+};
+
+/**
+ * Tests whether the object is a WebCodecs `VideoFrame`.
+ * @param {object} o Object to be tested.
+ * @return {boolean}
+ * @static
+ */
+Source.isVideoFrame = function(o) {
+  return typeof VideoFrame !== 'undefined' && o instanceof VideoFrame;
+};
+
+/**
+ * Tests whether the pixels of the object can be extracted by this utility.
+ * @param {object} o Object to be tested.
+ * @return {boolean}
+ * @static
+ */
+Source.isSupported = function(o) {
+  return this.isPixels(o) || this.isImageBitmap(o) || this.isOffscreenCanvas(o) || this.isVideoFrame(o);
+};
+
+/**
+ * Creates a canvas to paint the sources that do not expose their pixels. An
+ * `OffscreenCanvas` is preferred, so it also works in workers.
+ * @param {number} width The canvas width.
+ * @param {number} height The canvas height.
+ * @return {OffscreenCanvas|HTMLCanvasElement}
+ * @private
+ * @static
+ */
+Source.createCanvas_ = function(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  let canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Reads the pixels of a canvas through its 2d context.
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas
+ * @return {ImageData}
+ * @private
+ * @static
+ */
+Source.readCanvas_ = function(canvas) {
+  let context = canvas.getContext('2d');
+  if (!context) {
+    throw new Error('Canvas 2d context not available, the canvas may already have another context.');
+  }
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Extracts the pixels of a source.
+ * @param {ImageData|ImageBitmap|OffscreenCanvas|VideoFrame|object} source
+ * @return {object} Object containing the pixels in a linear [r,g,b,a,...]
+ *     `data` array, and the `width` and `height` of the source.
+ * @static
+ */
+Source.getPixels = function(source) {
+  if (this.isPixels(source)) {
+    return source;
+  }
+
+  if (this.isOffscreenCanvas(source)) {
+    return this.readCanvas_(source);
+  }
+
+  let width;
+  let height;
+  if (this.isVideoFrame(source)) {
+    width = source.displayWidth;
+    height = source.displayHeight;
+  } else if (this.isImageBitmap(source)) {
+    width = source.width;
+    height = source.height;
+  } else {
+    throw new Error('Source not supported, try an ImageData, ImageBitmap, OffscreenCanvas or VideoFrame.');
+  }
+
+  let canvas = this.createCanvas_(width, height);
+  canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+  return this.readCanvas_(canvas);
+};
+
+module.exports = Source;
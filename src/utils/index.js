@@ -1,15 +1,25 @@
+const Camera = require('./Camera');
 const Canvas = require('./Canvas');
+const Color = require('./Color');
 const DisjointSet = require('./DisjointSet');
 const EventEmitter = require('./EventEmitter');
+const FrameRate = require('./FrameRate');
 const Image = require('./Image');
+const Region = require('./Region');
 const Scale = require('./Scale');
+const Source = require('./Source');
 
 const utils = {
+  Camera,
   Canvas,
+  Color,
   DisjointSet,
   EventEmitter,
+  FrameRate,
   Image,
-  Scale
+  Region,
+  Scale,
+  Source
 };
 
 module.exports = utils;
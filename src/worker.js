@@ -0,0 +1,45 @@
+/* jshint worker: true */
+const tracking = require('./tracking');
+
+/**
+ * Worker script running the trackers of `tracking.TrackerWorker`, either as
+ * a Web Worker or as a `worker_threads` worker in Node.js.
+ */
+
+let tracker = null;
+
+const handleMessage = function(message, postMessage) {
+  try {
+    switch (message.type) {
+      case 'config':
+        tracker = tracking.TrackerWorker.deserializeTracker(message.tracker);
+        tracker.on('track', function(event) {
+          postMessage({ type: 'track', event });
+        });
+        break;
+      case 'track':
+        tracking.withRegionOfInterest_(tracker, message.roi, function() {
+          tracker.track(message.pixels, message.width, message.height);
+        });
+        postMessage({ type: 'done' });
+        break;
+    }
+  } catch (err) {
+    postMessage({ type: 'error', message: err.message });
+  }
+};
+
+if (typeof self === 'undefined') {
+  const parentPort = require('worker_threads').parentPort;
+  parentPort.on('message', function(message) {
+    handleMessage(message, function(response) {
+      parentPort.postMessage(response);
+    });
+  });
+} else {
+  self.onmessage = function(event) {
+    handleMessage(event.data, function(response) {
+      self.postMessage(response);
+    });
+  };
+}
@@ -0,0 +1,166 @@
+const assert = require('assert');
+const tracking = require('../');
+const dom = require('./helpers/dom');
+const media = require('./helpers/media');
+
+describe('tracking.Camera', function() {
+  let mediaDevices;
+
+  beforeEach(function() {
+    mediaDevices = media.createMediaDevices(['front', 'back']);
+    tracking.Camera.mediaDevices = mediaDevices;
+  });
+
+  afterEach(function() {
+    tracking.Camera.mediaDevices = null;
+  });
+
+  it('lists the video inputs', function() {
+    return tracking.listCameras().then(function(devices) {
+      assert.deepStrictEqual(devices.map(function(device) {
+        return device.deviceId;
+      }), ['front', 'back']);
+    });
+  });
+
+  it('captures the camera with the constraints', function() {
+    const video = media.createVideo();
+    const camera = new tracking.Camera(video, { width: 640, frameRate: 30, facingMode: 'user' });
+
+    return camera.start().then(function(stream) {
+      assert.strictEqual(video.srcObject, stream);
+      assert.strictEqual(camera.getStream(), stream);
+      assert.deepStrictEqual(stream.constraints, {
+        video: { width: { ideal: 640 }, frameRate: { ideal: 30 }, facingMode: 'user' },
+        audio: false
+      });
+    });
+  });
+
+  it('switches cameras, stopping the previous stream', function() {
+    const camera = new tracking.Camera(media.createVideo(), { deviceId: 'front' });
+
+    return camera.start().then(function(front) {
+      return camera.switchCamera('back').then(function(back) {
+        assert.strictEqual(front.track.stopped, true);
+        assert.strictEqual(back.track.stopped, false);
+        assert.strictEqual(camera.options.deviceId, 'back');
+      });
+    });
+  });
+
+  it('keeps the current camera when switching fails', function() {
+    const video = media.createVideo();
+    const camera = new tracking.Camera(video, { deviceId: 'front' });
+
+    return camera.start().then(function(front) {
+      return camera.switchCamera('missing').then(function() {
+        assert.fail('Expected a rejection');
+      }, function(err) {
+        assert.strictEqual(err.name, 'NotFoundError');
+        assert.strictEqual(front.track.stopped, false);
+        assert.strictEqual(camera.getStream(), front);
+        assert.strictEqual(video.srcObject, front);
+        assert.strictEqual(camera.options.deviceId, 'front');
+      });
+    });
+  });
+
+  it('does not capture the camera again when switching after stop', function() {
+    const camera = new tracking.Camera(media.createVideo(), { deviceId: 'front' });
+
+    return camera.switchCamera('back').then(function(stream) {
+      assert.strictEqual(stream, null);
+      return camera.start();
+    }).then(function() {
+      camera.stop();
+      return camera.switchCamera('back');
+    }).then(function(stream) {
+      assert.strictEqual(stream, null);
+      assert.strictEqual(mediaDevices.streams.length, 1);
+      assert.strictEqual(camera.getStream(), null);
+      assert.strictEqual(camera.options.deviceId, 'front');
+    });
+  });
+
+  it('discards a capture resolved after stop', function() {
+    const camera = new tracking.Camera(media.createVideo());
+    const started = camera.start();
+    camera.stop();
+
+    return started.then(function(stream) {
+      assert.strictEqual(stream, null);
+      assert.strictEqual(camera.getStream(), null);
+      assert.strictEqual(mediaDevices.streams[0].track.stopped, true);
+    });
+  });
+
+  describe('with tracking.track', function() {
+    let uninstall;
+
+    beforeEach(function() {
+      uninstall = dom.install();
+    });
+
+    afterEach(function() {
+      uninstall();
+    });
+
+    it('stops the camera when the task stops', function() {
+      const video = media.createVideo();
+      const task = tracking.track(video, new tracking.ColorTracker(), { camera: true });
+
+      return new Promise(function(resolve) {
+        setTimeout(resolve);
+      }).then(function() {
+        const stream = video.srcObject;
+        assert.ok(stream, 'captures the camera');
+        task.stop();
+        assert.strictEqual(stream.track.stopped, true);
+        assert.strictEqual(task.getCamera().getStream(), null);
+      });
+    });
+
+    it('does not capture the camera again once the task stopped', function() {
+      const video = media.createVideo();
+      const task = tracking.track(video, new tracking.ColorTracker(), { camera: true });
+
+      return new Promise(function(resolve) {
+        setTimeout(resolve);
+      }).then(function() {
+        task.stop();
+        return task.switchCamera('back');
+      }).then(function(stream) {
+        assert.strictEqual(stream, null);
+        assert.strictEqual(mediaDevices.streams.length, 1);
+        assert.strictEqual(video.srcObject.track.stopped, true);
+      });
+    });
+
+    it('reports camera failures through the task', function() {
+      mediaDevices.deny = true;
+      const task = tracking.track(media.createVideo(), new tracking.ColorTracker(), { camera: true });
+
+      return new Promise(function(resolve) {
+        task.on('error', resolve);
+      }).then(function(err) {
+        task.stop();
+        assert.strictEqual(err.name, 'NotAllowedError');
+      });
+    });
+
+    it('reports camera switch failures through the task', function() {
+      const task = tracking.track(media.createVideo(), new tracking.ColorTracker(), { camera: true });
+      let error = null;
+      task.on('error', function(err) {
+        error = err;
+      });
+
+      return task.switchCamera('missing').then(function(stream) {
+        task.stop();
+        assert.strictEqual(stream, null);
+        assert.strictEqual(error.name, 'NotFoundError');
+      });
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const assert = require('assert');
+const tracking = require('../');
+
+describe('tracking.Color', function() {
+  it('normalizes typed array ranges to plain arrays', function() {
+    const range = tracking.Color.normalizeRange({
+      space: 'hsv',
+      min: new Float32Array([280, 0.5, 0.5]),
+      max: new Uint16Array([320, 1, 1])
+    });
+
+    assert.ok(Array.isArray(range.min));
+    assert.ok(Array.isArray(range.max));
+    assert.deepStrictEqual(range.max, [320, 1, 1]);
+
+    const tolerance = tracking.Color.normalizeRange({
+      center: new Uint8Array([255, 0, 255]),
+      tolerance: new Uint8Array([40, 40, 40])
+    });
+    assert.deepStrictEqual(tolerance, { space: 'rgb', center: [255, 0, 255], tolerance: [40, 40, 40] });
+  });
+
+  it('exports typed array ranges as JSON arrays', function() {
+    tracking.ColorTracker.registerColorRange('typed', {
+      min: new Uint8Array([200, 0, 200]),
+      max: new Uint8Array([255, 60, 255])
+    });
+
+    const exported = tracking.ColorTracker.exportColorRanges().typed;
+    assert.deepStrictEqual(exported, { space: 'rgb', min: [200, 0, 200], max: [255, 60, 255] });
+  });
+});
@@ -0,0 +1,383 @@
+const assert = require('assert');
+const tracking = require('../');
+const { createFrame } = require('./helpers/frames');
+
+describe('tracking.ColorTracker', function() {
+  // A magenta and a yellow blob side by side, with no gap between them.
+  const pixels = createFrame(96, 48, function(x, y) {
+    if (y < 8 || y >= 38 || x < 10 || x >= 70) {
+      return [0, 0, 0];
+    }
+    return x < 40 ? [255, 0, 255] : [255, 255, 0];
+  });
+
+  /**
+   * Creates a tracker of both colors, merging across colors.
+   * @return {tracking.ColorTracker}
+   */
+  function createTracker() {
+    const tracker = new tracking.ColorTracker(['magenta', 'yellow']);
+    tracker.setMergeColors('any');
+    tracker.setEmitContours(true);
+    return tracker;
+  }
+
+  it('merges the intersecting blobs only by default', function() {
+    const results = tracking.trackPixels(pixels, 96, 48, createTracker());
+
+    assert.strictEqual(results.length, 2);
+    results.forEach(function(result) {
+      assert.ok(result.contour);
+    });
+  });
+
+  it('drops the contour of merged blobs', function() {
+    const tracker = createTracker();
+    tracker.setMergeDistance(0);
+    const results = tracking.trackPixels(pixels, 96, 48, tracker);
+
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].x, 10);
+    assert.strictEqual(results[0].area, 1800);
+    assert.ok(results[0].hull.length >= 4);
+    assert.strictEqual(results[0].contour, undefined);
+  });
+
+  describe('with per-color parameters', function() {
+    // A small magenta and a small yellow blob, below the default dimension.
+    const small = createFrame(64, 32, function(x, y) {
+      if (y < 4 || y >= 16) {
+        return [0, 0, 0];
+      }
+      if (x >= 4 && x < 16) {
+        return [255, 0, 255];
+      }
+      return x >= 40 && x < 52 ? [255, 255, 0] : [0, 0, 0];
+    });
+
+    it('overrides the parameters of the instance for a color', function() {
+      const tracker = new tracking.ColorTracker(['magenta', { name: 'yellow', minDimension: 10 }]);
+
+      assert.strictEqual(tracking.trackPixels(small, 64, 32, new tracking.ColorTracker(['magenta', 'yellow'])).length,
+        0);
+      const results = tracking.trackPixels(small, 64, 32, tracker);
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].color, 'yellow');
+      assert.strictEqual(results[0].x, 40);
+    });
+
+    it('rejects unknown parameters', function() {
+      assert.throws(function() {
+        new tracking.ColorTracker([{ name: 'yellow', minSize: 10 }]);
+      }, /Unknown parameter for color "yellow": minSize/);
+    });
+
+    it('groups the results by color and emits an event per color', function() {
+      const tracker = new tracking.ColorTracker([
+        { name: 'magenta', minDimension: 10 },
+        { name: 'yellow', minDimension: 10 }
+      ]);
+      let events = [];
+      ['track', 'track:magenta', 'track:yellow'].forEach(function(type) {
+        tracker.on(type, function(event) {
+          events.push([type, event]);
+        });
+      });
+      tracker.track(small, 64, 32);
+
+      assert.deepStrictEqual(events.map(function(event) {
+        return event[0];
+      }), ['track']);
+      assert.strictEqual(events[0][1].byColor.magenta[0].x, 4);
+      assert.strictEqual(events[0][1].byColor.yellow[0].x, 40);
+
+      events = [];
+      tracker.setEmitColorEvents(true);
+      tracker.track(small, 64, 32);
+      assert.deepStrictEqual(events.map(function(event) {
+        return event[0];
+      }), ['track', 'track:magenta', 'track:yellow']);
+      assert.deepStrictEqual(events[1][1].data, events[0][1].byColor.magenta);
+      assert.deepStrictEqual(events[2][1].data, events[0][1].byColor.yellow);
+    });
+  });
+
+  describe('calibrate', function() {
+    const color = [200, 40, 120];
+    const frame = createFrame(64, 48, function(x, y) {
+      return x >= 10 && x < 40 && y >= 8 && y < 38 ? color : [0, 0, 0];
+    });
+
+    it('registers the gaussian of a uniform sample', function() {
+      const sample = { x: 20, y: 15, width: 10, height: 10 };
+      const range = tracking.ColorTracker.calibrate(frame, 64, 48, sample, 'calibrated');
+      const lab = tracking.Color.rgbToLab(color[0], color[1], color[2]);
+
+      assert.strictEqual(range, tracking.ColorTracker.getColorRange('calibrated'));
+      assert.strictEqual(range.space, 'lab');
+      assert.strictEqual(range.threshold, 3);
+      range.mean.forEach(function(value, c) {
+        assert.ok(Math.abs(value - lab[c]) < 1e-9, 'mean ' + range.mean);
+      });
+      // The covariance of a uniform sample is the regularization only.
+      range.covariance.forEach(function(value, k) {
+        assert.ok(Math.abs(value - (k % 4 === 0 ? 1 : 0)) < 1e-6, 'covariance ' + range.covariance);
+      });
+      assert.strictEqual(range.background, undefined);
+
+      const isColor = tracking.ColorTracker.getColor('calibrated');
+      assert.strictEqual(isColor(color[0], color[1], color[2]), true);
+      assert.strictEqual(isColor(0, 0, 0), false);
+      assert.strictEqual(isColor(200, 40, 200), false);
+    });
+
+    it('tracks the calibrated color', function() {
+      tracking.ColorTracker.calibrate(frame, 64, 48, { x: 20, y: 15, width: 10, height: 10 }, 'calibrated', {
+        background: true
+      });
+      const range = tracking.ColorTracker.getColorRange('calibrated');
+      const results = tracking.trackPixels(frame, 64, 48, new tracking.ColorTracker('calibrated'));
+
+      assert.ok(range.background.mean[0] < range.mean[0]);
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].x, 10);
+      assert.strictEqual(results[0].y, 8);
+      assert.strictEqual(results[0].area, 900);
+    });
+
+    it('rejects the samples of less than two pixels', function() {
+      assert.throws(function() {
+        tracking.ColorTracker.calibrate(frame, 64, 48, { x: 20, y: 15, width: 1, height: 1 }, 'calibrated');
+      }, /Sample too small/);
+    });
+  });
+
+  describe('geometry', function() {
+    /**
+     * Sorts points by `y` then `x`.
+     * @param {Array.<{x: number, y: number}>} points
+     * @return {Array.<{x: number, y: number}>}
+     */
+    function sortPoints(points) {
+      return points.slice().sort(function(a, b) {
+        return a.y - b.y || a.x - b.x;
+      });
+    }
+
+    it('computes the contour, hull and ellipse of a rectangle', function() {
+      const tracker = new tracking.ColorTracker('magenta');
+      tracker.setEmitContours(true);
+      tracker.setMinDimension(5);
+      const pixels = createFrame(64, 48, function(x, y) {
+        return x >= 10 && x < 40 && y >= 20 && y < 30 ? [255, 0, 255] : [0, 0, 0];
+      });
+      const blob = tracking.trackPixels(pixels, 64, 48, tracker)[0];
+
+      assert.strictEqual(blob.area, 300);
+      assert.deepStrictEqual(blob.centroid, { x: 24.5, y: 24.5 });
+      assert.strictEqual(blob.orientation, 0);
+      // The axes of a uniform rectangle of side n are 4 * sqrt((n^2 - 1) / 12).
+      assert.ok(Math.abs(blob.ellipse.majorAxis - 4 * Math.sqrt(899 / 12)) < 1e-9);
+      assert.ok(Math.abs(blob.ellipse.minorAxis - 4 * Math.sqrt(99 / 12)) < 1e-9);
+      assert.strictEqual(blob.ellipse.x, 24.5);
+      assert.strictEqual(blob.ellipse.angle, 0);
+
+      // The contour goes once around the border pixels.
+      assert.strictEqual(blob.contour.length, 2 * (30 + 10) - 4);
+      blob.contour.forEach(function(point) {
+        assert.ok(point.x === 10 || point.x === 39 || point.y === 20 || point.y === 29, JSON.stringify(point));
+      });
+      assert.deepStrictEqual(sortPoints(blob.hull), [
+        { x: 10, y: 20 }, { x: 39, y: 20 }, { x: 10, y: 29 }, { x: 39, y: 29 }
+      ]);
+    });
+
+    it('orients the ellipse along a diagonal band', function() {
+      const pixels = createFrame(64, 64, function(x, y) {
+        const inside = x >= 8 && x < 56 && y >= 8 && y < 56;
+        return inside && Math.abs(x - y) < 4 ? [255, 0, 255] : [0, 0, 0];
+      });
+      const blob = tracking.trackPixels(pixels, 64, 64, new tracking.ColorTracker('magenta'))[0];
+
+      assert.ok(Math.abs(blob.orientation - Math.PI / 4) < 1e-9, 'orientation ' + blob.orientation);
+      assert.strictEqual(blob.ellipse.angle, blob.orientation);
+      assert.ok(blob.ellipse.majorAxis > 4 * blob.ellipse.minorAxis);
+    });
+
+    it('maps the geometry of a scaled frame back into the original size', function() {
+      const tracker = new tracking.ColorTracker('magenta');
+      tracker.setEmitContours(true);
+      tracker.setMinDimension(4);
+      const scale = new tracking.Scale();
+      scale.scale = 0.5;
+      const pixels = createFrame(32, 24, function(x, y) {
+        return x >= 5 && x < 20 && y >= 10 && y < 15 ? [255, 0, 255] : [0, 0, 0];
+      });
+      const blob = tracking.trackPixels(pixels, 32, 24, tracker)[0];
+      const original = tracking.Scale.copy(blob);
+      scale.rescale(blob);
+
+      assert.strictEqual(blob.x, 10);
+      assert.strictEqual(blob.width, 28);
+      assert.strictEqual(blob.area, original.area * 4);
+      assert.deepStrictEqual(blob.centroid, { x: original.centroid.x * 2, y: original.centroid.y * 2 });
+      assert.strictEqual(blob.ellipse.majorAxis, original.ellipse.majorAxis * 2);
+      assert.strictEqual(blob.ellipse.angle, original.ellipse.angle);
+      assert.strictEqual(blob.orientation, original.orientation);
+      assert.deepStrictEqual(blob.contour, original.contour.map(function(point) {
+        return { x: point.x * 2, y: point.y * 2 };
+      }));
+      assert.deepStrictEqual(sortPoints(blob.hull), [
+        { x: 10, y: 20 }, { x: 38, y: 20 }, { x: 10, y: 28 }, { x: 38, y: 28 }
+      ]);
+    });
+  });
+
+  describe('masks', function() {
+    const frame = createFrame(64, 48, function(x, y) {
+      return x >= 10 && x < 40 && y >= 8 && y < 38 ? [255, 0, 255] : [0, 0, 0];
+    });
+
+    /**
+     * Counts the matched pixels of a mask.
+     * @param {Uint8Array} mask
+     * @return {number}
+     */
+    function count(mask) {
+      return mask.reduce(function(sum, value) {
+        return sum + value;
+      }, 0);
+    }
+
+    /**
+     * Tracks a frame, returning the track event.
+     * @param {tracking.ColorTracker} tracker
+     * @param {Uint8ClampedArray} pixels
+     * @param {number} width
+     * @param {number} height
+     * @return {object}
+     */
+    function track(tracker, pixels, width, height) {
+      let event = null;
+      tracker.once('track', function(e) {
+        event = e;
+      });
+      tracker.track(pixels, width, height);
+      return event;
+    }
+
+    it('holds the matched pixels of each color', function() {
+      const tracker = new tracking.ColorTracker(['magenta', 'yellow']);
+
+      assert.strictEqual(track(tracker, frame, 64, 48).masks, undefined);
+
+      tracker.setEmitMasks(true);
+      const event = track(tracker, frame, 64, 48);
+      assert.strictEqual(event.width, 64);
+      assert.strictEqual(event.height, 48);
+      assert.strictEqual(event.masks.magenta.length, 64 * 48);
+      assert.strictEqual(count(event.masks.magenta), 900);
+      assert.strictEqual(event.masks.magenta[8 * 64 + 10], 1);
+      assert.strictEqual(event.masks.magenta[8 * 64 + 9], 0);
+      assert.strictEqual(count(event.masks.yellow), 0);
+    });
+
+    it('holds the matched pixels of the regions of interest in the frame', function() {
+      const tracker = new tracking.ColorTracker('magenta');
+      tracker.setEmitMasks(true);
+      tracker.setRegionOfInterest([{ x: 20, y: 0, width: 44, height: 20 }, { x: 0, y: 30, width: 30, height: 18 }]);
+      const event = track(tracker, frame, 64, 48);
+
+      assert.strictEqual(event.masks.magenta.length, 64 * 48);
+      // The columns 20 to 39 of the rows 8 to 19, and the columns 10 to 29
+      // of the rows 30 to 37.
+      assert.strictEqual(count(event.masks.magenta), 20 * 12 + 20 * 8);
+      assert.strictEqual(event.masks.magenta[8 * 64 + 20], 1);
+      assert.strictEqual(event.masks.magenta[8 * 64 + 19], 0);
+      assert.strictEqual(event.masks.magenta[30 * 64 + 10], 1);
+      assert.strictEqual(event.masks.magenta[25 * 64 + 25], 0);
+    });
+
+    it('holds the matched pixels in the tracked size when scaled', function() {
+      const tracker = new tracking.ColorTracker('magenta');
+      tracker.setEmitMasks(true);
+      const scale = new tracking.Scale();
+      scale.scale = 0.5;
+      tracker.setScale(scale);
+      const half = createFrame(32, 24, function(x, y) {
+        return x >= 5 && x < 20 && y >= 4 && y < 19 ? [255, 0, 255] : [0, 0, 0];
+      });
+      tracker.setMinDimension(10);
+      const event = track(tracker, half, 32, 24);
+
+      assert.strictEqual(event.data[0].x, 10);
+      assert.strictEqual(event.width, 32);
+      assert.strictEqual(event.height, 24);
+      assert.strictEqual(event.masks.magenta.length, 32 * 24);
+      assert.strictEqual(count(event.masks.magenta), 225);
+    });
+  });
+
+  describe('illumination', function() {
+    // A reddish left half, the right half being cleared outside of the
+    // regions of interest.
+    const frame = createFrame(64, 48, function(x) {
+      return x < 32 ? [100, 50, 50] : [0, 0, 0];
+    });
+    let seen;
+
+    before(function() {
+      tracking.ColorTracker.registerColor('probe', function(r, g, b, a, w) {
+        if (w === 0) {
+          seen = [r, g, b];
+        }
+        return false;
+      });
+    });
+
+    beforeEach(function() {
+      seen = null;
+    });
+
+    it('compensates the gain on the statistics of the regions of interest', function() {
+      const tracker = new tracking.ColorTracker('probe');
+      tracker.setIllumination('gain');
+      tracker.setIlluminationReference([100, 50, 50]);
+      tracker.setRegionOfInterest({ x: 0, y: 0, width: 32, height: 48 });
+      tracker.track(frame, 64, 48);
+
+      assert.deepStrictEqual(seen, [100, 50, 50]);
+
+      tracker.setRegionOfInterest(null);
+      tracker.track(frame, 64, 48);
+      assert.deepStrictEqual(seen, [200, 100, 100]);
+    });
+
+    it('takes the gain reference on the regions of interest of the first frame', function() {
+      const tracker = new tracking.ColorTracker('probe');
+      tracker.setIllumination('gain');
+      tracker.setRegionOfInterest([[{ x: 0, y: 0 }, { x: 32, y: 0 }, { x: 32, y: 48 }, { x: 0, y: 48 }]]);
+      tracker.track(frame, 64, 48);
+
+      assert.deepStrictEqual(tracker.getIlluminationReference(), [100, 50, 50]);
+      assert.deepStrictEqual(seen, [100, 50, 50]);
+    });
+
+    it('balances the white on the regions of interest', function() {
+      const tracker = new tracking.ColorTracker('probe');
+      tracker.setRegionOfInterest({ x: 0, y: 0, width: 32, height: 48 });
+      let colors = {};
+      ['grayWorld', 'whitePatch', 'chromaticity'].forEach(function(mode) {
+        tracker.setIllumination(mode);
+        tracker.track(frame, 64, 48);
+        colors[mode] = seen;
+      });
+
+      assert.deepStrictEqual(colors, {
+        grayWorld: [67, 67, 67],
+        whitePatch: [255, 255, 255],
+        chromaticity: [127, 64, 64]
+      });
+    });
+  });
+});
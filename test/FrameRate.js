@@ -0,0 +1,120 @@
+const assert = require('assert');
+const tracking = require('../');
+const dom = require('./helpers/dom');
+
+describe('tracking.FrameRate', function() {
+  it('throttles the frames to the maximum frame rate', function() {
+    const frameRate = new tracking.FrameRate({ fps: 10 });
+    frameRate.reset(0);
+
+    assert.strictEqual(frameRate.shouldTrack(50), false);
+    assert.strictEqual(frameRate.shouldTrack(120), true);
+    // The interval is counted from 100, where the elapsed one ended.
+    assert.strictEqual(frameRate.shouldTrack(190), false);
+    assert.strictEqual(frameRate.shouldTrack(201), true);
+  });
+
+  it('averages the achieved frame rate', function() {
+    const frameRate = new tracking.FrameRate();
+    frameRate.tick(0);
+    frameRate.tick(100);
+
+    assert.strictEqual(frameRate.getFps(), 10);
+
+    frameRate.tick(150);
+    assert.ok(Math.abs(frameRate.getFps() - 11) < 1e-9, 'fps ' + frameRate.getFps());
+  });
+
+  it('averages the tracking cost without adapting by default', function() {
+    const frameRate = new tracking.FrameRate({ fps: 50 });
+    frameRate.measure(40);
+    frameRate.measure(60);
+
+    assert.strictEqual(frameRate.getCost(), 42);
+    assert.strictEqual(frameRate.getInterval(), 20);
+  });
+
+  it('adapts the interval to the cost within the frame rate bounds', function() {
+    const options = { fps: 50, minFps: 5, adaptive: true, budget: 0.5 };
+    const intervals = [5, 40, 1000].map(function(cost) {
+      const frameRate = new tracking.FrameRate(options);
+      frameRate.measure(cost);
+      return frameRate.getInterval();
+    });
+
+    assert.deepStrictEqual(intervals, [20, 80, 200]);
+  });
+
+  describe('with a worker', function() {
+    const TrackerWorker = tracking.TrackerWorker;
+    const now = tracking.FrameRate.now;
+    let uninstall;
+    let worker;
+    let posted;
+    let clock;
+
+    class FakeWorker extends tracking.EventEmitter {
+      constructor() {
+        super();
+        worker = this;
+        this.busy = false;
+      }
+
+      isBusy() {
+        return this.busy;
+      }
+
+      isTerminated() {
+        return false;
+      }
+
+      terminate() {}
+
+      track() {
+        this.busy = true;
+        posted();
+        return true;
+      }
+
+      finish() {
+        this.busy = false;
+        this.emit('done');
+      }
+    }
+
+    beforeEach(function() {
+      uninstall = dom.install();
+      tracking.TrackerWorker = FakeWorker;
+      clock = 0;
+      tracking.FrameRate.now = function() {
+        return clock;
+      };
+    });
+
+    afterEach(function() {
+      uninstall();
+      tracking.TrackerWorker = TrackerWorker;
+      tracking.FrameRate.now = now;
+    });
+
+    it('measures the frames from their transfer until their results are back', function() {
+      const video = dom.createVideo(new Uint8ClampedArray(8 * 8 * 4), 8, 8, 1);
+      video.offsetWidth = video.offsetHeight = 8;
+      const transferred = new Promise(function(resolve) {
+        posted = resolve;
+      });
+      const task = tracking.track(video, new tracking.ColorTracker('magenta'), { worker: true, fps: 100 });
+      clock = 100;
+
+      return transferred.then(function() {
+        const frameRate = task.getFrameRate();
+        assert.strictEqual(frameRate.getCost(), 0, 'not measured while the worker tracks');
+
+        clock = 140;
+        worker.finish();
+        task.stop();
+        assert.strictEqual(frameRate.getCost(), 40);
+      });
+    });
+  });
+});
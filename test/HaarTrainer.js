@@ -0,0 +1,132 @@
+const assert = require('assert');
+const tracking = require('../');
+
+describe('tracking.HaarTrainer', function() {
+  let seed;
+
+  /**
+   * Returns a deterministic pseudo-random number in [0, 1).
+   * @return {number}
+   */
+  const random = function() {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x80000000;
+  };
+
+  /**
+   * Creates a gray image.
+   * @param {number} width
+   * @param {number} height
+   * @param {function(number, number): number} fill The gray level of the
+   *     pixel at `(x, y)`.
+   * @return {{pixels: Uint8ClampedArray, width: number, height: number}}
+   */
+  const createImage = function(width, height, fill) {
+    let pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const w = (y * width + x) * 4;
+        pixels[w] = pixels[w + 1] = pixels[w + 2] = fill(x, y);
+        pixels[w + 3] = 255;
+      }
+    }
+    return { pixels, width, height };
+  };
+
+  /**
+   * Gets the gray level of a dark square ring of 12x12 pixels on light.
+   * @param {number} x
+   * @param {number} y
+   * @return {number}
+   */
+  const ring = function(x, y) {
+    const outer = x >= 2 && x < 10 && y >= 2 && y < 10;
+    const inner = x >= 4 && x < 8 && y >= 4 && y < 8;
+    return outer && !inner ? 40 : 200;
+  };
+
+  /**
+   * Trains a cascade detecting the rings, on noisy rings and on negative
+   * images of noise, stripes and rings out of the windows.
+   * @return {Float64Array}
+   */
+  const trainRings = function() {
+    seed = 11;
+    let positives = [];
+    for (let n = 0; n < 20; n++) {
+      positives.push(createImage(12, 12, function(x, y) {
+        return ring(x, y) + (random() - 0.5) * 40;
+      }));
+    }
+    const negatives = [
+      createImage(48, 48, function() {
+        return 120 + (random() - 0.5) * 160;
+      }),
+      createImage(48, 48, function(x, y) {
+        return (x + y) % 16 < 8 ? 40 : 200;
+      }),
+      createImage(48, 48, function(x, y) {
+        return y % 12 < 4 ? 40 : 200;
+      }),
+      createImage(48, 48, function(x) {
+        return x % 12 < 4 ? 40 : 200;
+      }),
+      // The rings along the top and left edges, never aligned on a window.
+      createImage(44, 44, function(x, y) {
+        const dx = x % 16;
+        const dy = y % 16;
+        const edge = x < 16 || y < 16;
+        return edge && dx < 12 && dy < 12 ? ring(dx, dy) : 120 + (random() - 0.5) * 60;
+      })
+    ];
+    return tracking.ViolaJones.train(positives, negatives, {
+      stages: 5,
+      maxFeatures: 500,
+      negativeCount: 2000,
+      negativeStep: 1
+    });
+  };
+
+  it('enumerates the upright features of a window', function() {
+    const features = tracking.HaarTrainer.enumerateFeatures(2, 2);
+
+    assert.strictEqual(features.length, 7);
+    assert.deepStrictEqual(features[0], [[0, 0, 2, 1, -1], [1, 0, 1, 1, 2]]);
+  });
+
+  it('trains a cascade detecting the object at its position with a score', function() {
+    const classifier = trainRings();
+    const scene = createImage(64, 64, function(x, y) {
+      const dx = x - 20;
+      const dy = y - 30;
+      return dx >= 0 && dx < 12 && dy >= 0 && dy < 12 ? ring(dx, dy) : 120 + (random() - 0.5) * 60;
+    });
+
+    // Only the window size is scanned, with a step of one pixel.
+    const results = tracking.ViolaJones.detect(scene.pixels, 64, 64, 0.1, 10, 1, 0, classifier);
+
+    assert.strictEqual(classifier[0], 12);
+    assert.strictEqual(results.length, 1);
+    // The windows cover the pixels from one pixel below and right of them.
+    assert.strictEqual(results[0].x, 19);
+    assert.strictEqual(results[0].y, 29);
+    assert.strictEqual(results[0].width, 12);
+    // The score is the margin to the threshold halfway to the negatives.
+    assert.ok(results[0].score > 0.5, 'score ' + results[0].score);
+  });
+
+  it('rejects the samples of other sizes and missing samples', function() {
+    const positive = createImage(12, 12, ring);
+    const negative = createImage(48, 48, ring);
+
+    assert.throws(function() {
+      tracking.ViolaJones.train([positive, createImage(10, 10, ring)], [negative]);
+    }, /Positive samples should be of the window size: 12x12/);
+    assert.throws(function() {
+      tracking.ViolaJones.train([positive], []);
+    }, /Positive and negative samples are required/);
+    assert.throws(function() {
+      tracking.ViolaJones.train([positive], [createImage(12, 12, ring)]);
+    }, /Negative images should be larger than the window/);
+  });
+});
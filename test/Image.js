@@ -0,0 +1,126 @@
+const assert = require('assert');
+const tracking = require('../');
+
+describe('tracking.Image', function() {
+  it('erodes the blobs touching the border of the mask', function() {
+    const mask = new Uint8Array(25).fill(1);
+
+    const eroded = tracking.Image.erode(mask, 5, 5);
+    assert.strictEqual(eroded[0], 0);
+    assert.strictEqual(eroded[2], 0);
+    assert.strictEqual(eroded[12], 1);
+    assert.strictEqual(eroded.reduce(function(sum, value) {
+      return sum + value;
+    }, 0), 9);
+
+    assert.deepStrictEqual(Array.from(tracking.Image.erode(mask, 5, 5, 'rect', 1)), Array.from(mask));
+  });
+
+  it('keeps the mask values within 0 and 1 without operations', function() {
+    const output = tracking.Image.morphology(new Uint8Array([0, 3, 255]), 3, 1, []);
+    assert.deepStrictEqual(Array.from(output), [0, 1, 1]);
+  });
+
+  it('writes the morphological operations to the given buffers', function() {
+    let mask = new Uint8Array(64);
+    for (let i = 0; i < 64; i++) {
+      mask[i] = i % 8 > 1 && i % 8 < 6 && i > 8 && i < 48 ? 1 : 0;
+    }
+    const operations = [{ operation: 'open', element: 'cross' }, { operation: 'dilate' }];
+    const buffers = [new Uint8Array(64), new Uint8Array(64)];
+
+    const output = tracking.Image.morphology(mask, 8, 8, operations, buffers);
+    assert.ok(output === buffers[0] || output === buffers[1]);
+    assert.deepStrictEqual(Array.from(output), Array.from(tracking.Image.morphology(mask, 8, 8, operations)));
+    assert.strictEqual(tracking.Image.morphology(mask, 8, 8, [], buffers), buffers[0]);
+  });
+
+  it('computes the integral image from the first column', function() {
+    let pixels = new Uint8ClampedArray(3 * 2 * 4).fill(255);
+    for (let w = 0; w < pixels.length; w += 4) {
+      pixels[w] = pixels[w + 1] = pixels[w + 2] = 10;
+    }
+    let integral = new Int32Array(6);
+    tracking.Image.computeIntegralImage(pixels, 3, 2, integral);
+
+    assert.deepStrictEqual(Array.from(integral), [10, 20, 30, 20, 40, 60]);
+  });
+
+  describe('illumination', function() {
+    /**
+     * Creates pixels of the given colors, one pixel per color.
+     * @param {Array.<Array.<number>>} colors The `[r, g, b]` colors.
+     * @return {Uint8ClampedArray}
+     */
+    function createPixels(colors) {
+      let pixels = new Uint8ClampedArray(colors.length * 4);
+      colors.forEach(function(color, p) {
+        pixels.set(color.concat(255), p * 4);
+      });
+      return pixels;
+    }
+
+    /**
+     * Gets the `[r, g, b]` colors of pixels.
+     * @param {Uint8ClampedArray} pixels
+     * @return {Array.<Array.<number>>}
+     */
+    function getColors(pixels) {
+      let colors = [];
+      for (let w = 0; w < pixels.length; w += 4) {
+        colors.push(Array.from(pixels.subarray(w, w + 3)));
+      }
+      return colors;
+    }
+
+    // A reddish pixel, a cleared one and a bluish one.
+    const pixels = createPixels([[120, 60, 60], [0, 0, 0], [60, 60, 120]]);
+    const mask = new Uint8Array([1, 0, 0]);
+
+    it('averages the channels of the masked pixels', function() {
+      assert.deepStrictEqual(tracking.Image.channelMeans(pixels), [60, 40, 60]);
+      assert.deepStrictEqual(tracking.Image.channelMeans(pixels, mask), [120, 60, 60]);
+      assert.deepStrictEqual(tracking.Image.channelMeans(pixels, new Uint8Array(3)), [0, 0, 0]);
+    });
+
+    it('balances the white on the gray world', function() {
+      assert.deepStrictEqual(getColors(tracking.Image.normalizeIllumination(pixels, 3, 1, 'grayWorld')),
+        [[107, 80, 53], [0, 0, 0], [53, 80, 107]]);
+      assert.deepStrictEqual(getColors(tracking.Image.normalizeIllumination(pixels, 3, 1, 'grayWorld', { mask })),
+        [[80, 80, 80], [0, 0, 0], [40, 80, 160]]);
+    });
+
+    it('balances the white on the brightest pixels', function() {
+      assert.deepStrictEqual(getColors(tracking.Image.normalizeIllumination(pixels, 3, 1, 'whitePatch')),
+        [[255, 255, 128], [0, 0, 0], [128, 255, 255]]);
+      assert.deepStrictEqual(getColors(tracking.Image.normalizeIllumination(pixels, 3, 1, 'whitePatch', { mask })),
+        [[255, 255, 255], [0, 0, 0], [128, 255, 255]]);
+    });
+
+    it('normalizes the chromaticity', function() {
+      const output = new Uint8ClampedArray(pixels.length);
+
+      assert.strictEqual(tracking.Image.normalizeIllumination(pixels, 3, 1, 'chromaticity', { output }), output);
+      assert.deepStrictEqual(getColors(output), [[128, 64, 64], [0, 0, 0], [64, 64, 128]]);
+    });
+
+    it('compensates the gain against the reference of the masked pixels', function() {
+      const reference = createPixels([[60, 30, 30], [255, 255, 255], [0, 0, 0]]);
+
+      assert.deepStrictEqual(getColors(tracking.Image.normalizeIllumination(pixels, 3, 1, 'gain', {
+        reference: [60, 30, 30],
+        mask
+      })), [[60, 30, 30], [0, 0, 0], [30, 30, 60]]);
+      assert.deepStrictEqual(getColors(tracking.Image.normalizeIllumination(pixels, 3, 1, 'gain', {
+        reference,
+        mask
+      })), [[60, 30, 30], [0, 0, 0], [30, 30, 60]]);
+      assert.throws(function() {
+        tracking.Image.normalizeIllumination(pixels, 3, 1, 'gain');
+      }, /A reference frame is required/);
+      assert.throws(function() {
+        tracking.Image.normalizeIllumination(pixels, 3, 1, 'retinex');
+      }, /Unknown illumination normalization mode: retinex/);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const tracking = require('../');
+const { createFrame } = require('./helpers/frames');
+
+describe('tracking.LBPCascade', function() {
+  // The neighbors of the center block of an LBP feature, in the order of
+  // the bits of its code in OpenCV, from 128 down to 1, as [row, column].
+  const NEIGHBORS = [[0, 0], [0, 1], [0, 2], [1, 2], [2, 2], [2, 1], [2, 0], [1, 0]];
+
+  /**
+   * Creates a frame holding a 9x9 feature of 3x3 pixels blocks at `(x0,
+   * y0)`, its center block of 100 and the blocks listed as bright of 200,
+   * the others of 50, over a background of 100.
+   * @param {number} size The frame size.
+   * @param {number} x0
+   * @param {number} y0
+   * @param {Array.<Array.<number>>} bright The bright blocks.
+   * @return {Uint8ClampedArray}
+   */
+  const createFeatureFrame = function(size, x0, y0, bright) {
+    return createFrame(size, size, function(x, y) {
+      const row = Math.floor((y - y0) / 3);
+      const column = Math.floor((x - x0) / 3);
+      if (row < 0 || row > 2 || column < 0 || column > 2 || (row === 1 && column === 1)) {
+        return [100, 100, 100];
+      }
+      const value = bright.some(function(block) {
+        return block[0] === row && block[1] === column;
+      }) ? 200 : 50;
+      return [value, value, value];
+    });
+  };
+
+  /**
+   * Creates a one stage classifier of 9x9 pixels passing the LBP code only.
+   * @param {number} code
+   * @return {object}
+   */
+  const createClassifier = function(code) {
+    let subset = [0, 0, 0, 0, 0, 0, 0, 0];
+    subset[code >> 5] = (1 << (code & 31)) | 0;
+    return {
+      type: 'lbp',
+      width: 9,
+      height: 9,
+      data: new Float64Array([0, 1, 0, 0, 3, 3].concat(subset, [1, -1]))
+    };
+  };
+
+  /**
+   * Detects on the single 9x9 window of a 10x10 frame.
+   * @param {Uint8ClampedArray} pixels
+   * @param {object} classifier
+   * @return {Array.<object>}
+   */
+  const detectWindow = function(pixels, classifier) {
+    return tracking.LBPCascade.detect(pixels, 10, 10, 0.8, 1.25, 1, 0, classifier);
+  };
+
+  it('computes the codes in the bit order of OpenCV', function() {
+    NEIGHBORS.forEach(function(block, k) {
+      const code = 128 >> k;
+      const pixels = createFeatureFrame(10, 0, 0, [block]);
+
+      assert.strictEqual(detectWindow(pixels, createClassifier(code)).length, 1, 'code ' + code);
+      assert.strictEqual(detectWindow(pixels, createClassifier(code === 1 ? 128 : code >> 1)).length, 0);
+    });
+
+    const corners = createFeatureFrame(10, 0, 0, [NEIGHBORS[0], NEIGHBORS[4]]);
+    assert.strictEqual(detectWindow(corners, createClassifier(136)).length, 1);
+    assert.strictEqual(detectWindow(createFeatureFrame(10, 0, 0, NEIGHBORS), createClassifier(255)).length, 1);
+  });
+
+  it('converts the OpenCV LBP cascades', function() {
+    const xml = fs.readFileSync(path.join(__dirname, 'fixtures', 'lbp.xml'), 'utf8');
+    const classifier = tracking.OpenCVCascade.parseLbp(xml);
+
+    assert.strictEqual(tracking.OpenCVCascade.getFeatureType(xml), 'LBP');
+    assert.deepStrictEqual(classifier, createClassifier(136));
+    assert.throws(function() {
+      tracking.OpenCVCascade.parseHaar(xml);
+    }, /Not a HAAR cascade: LBP features/);
+    assert.throws(function() {
+      tracking.OpenCVCascade.parseLbp(xml.replace('0 0 3 3', '0 0 3'));
+    }, /LBP feature not found: 0/);
+  });
+
+  it('detects the objects of a registered cascade with an ObjectTracker', function() {
+    const xml = fs.readFileSync(path.join(__dirname, 'fixtures', 'lbp.xml'), 'utf8');
+    tracking.ViolaJones.registerClassifier('lbpTest', xml);
+    const tracker = new tracking.ObjectTracker('lbpTest');
+    tracker.setInitialScale(0.8);
+    tracker.setStepSize(1);
+    tracker.setEdgesDensity(0);
+
+    const pixels = createFeatureFrame(32, 12, 8, [NEIGHBORS[0], NEIGHBORS[4]]);
+    const results = tracking.trackPixels(pixels, 32, 32, tracker);
+
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].x, 12);
+    assert.strictEqual(results[0].y, 8);
+    assert.strictEqual(results[0].classifier, 'lbpTest');
+    assert.ok(results[0].score >= 0);
+    delete tracking.ViolaJones.classifiers.lbpTest;
+  });
+});
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const tracking = require('../');
+const { EDGE_CLASSIFIER } = require('./helpers/frames');
+
+describe('tracking.ObjectTracker', function() {
+  const detect = tracking.ViolaJones.detect;
+  const pixels = new Uint8ClampedArray(40 * 40 * 4);
+  let calls;
+
+  beforeEach(function() {
+    calls = [];
+    tracking.ViolaJones.detect = function() {
+      calls.push(Array.from(arguments));
+      return [
+        { total: 1, x: 0, y: 0, width: 20, height: 20, score: 1 },
+        { total: 4, x: 20, y: 20, width: 20, height: 20, score: 2 }
+      ];
+    };
+  });
+
+  afterEach(function() {
+    tracking.ViolaJones.detect = detect;
+  });
+
+  it('detects with the default average grouping', function() {
+    const tracker = new tracking.ObjectTracker(EDGE_CLASSIFIER);
+    const results = tracking.trackPixels(pixels, 40, 40, tracker);
+
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0][7], EDGE_CLASSIFIER);
+    assert.deepStrictEqual(calls[0][8], { method: 'average', threshold: null });
+    assert.strictEqual(results.length, 2);
+  });
+
+  it('passes the grouping and its threshold to the detection', function() {
+    const tracker = new tracking.ObjectTracker(EDGE_CLASSIFIER);
+    tracker.setGrouping('nms', 0.45);
+    tracking.trackPixels(pixels, 40, 40, tracker);
+    tracker.setGrouping('weighted');
+    tracking.trackPixels(pixels, 40, 40, tracker);
+
+    assert.deepStrictEqual(calls[0][8], { method: 'nms', threshold: 0.45 });
+    assert.deepStrictEqual(calls[1][8], { method: 'weighted', threshold: null });
+  });
+
+  it('filters the detections by minNeighbors', function() {
+    const tracker = new tracking.ObjectTracker(EDGE_CLASSIFIER);
+    tracker.setMinNeighbors(3);
+    const results = tracking.trackPixels(pixels, 40, 40, tracker);
+
+    assert.strictEqual(tracker.getMinNeighbors(), 3);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].total, 4);
+  });
+
+  it('rejects invalid minNeighbors', function() {
+    const tracker = new tracking.ObjectTracker(EDGE_CLASSIFIER);
+
+    [-1, 1.5, '3', null].forEach(function(minNeighbors) {
+      assert.throws(function() {
+        tracker.setMinNeighbors(minNeighbors);
+      }, /Minimum neighbors should be a non-negative integer/);
+    });
+    assert.strictEqual(tracker.getMinNeighbors(), 0);
+  });
+
+  it('rejects unknown groupings and invalid thresholds', function() {
+    const tracker = new tracking.ObjectTracker(EDGE_CLASSIFIER);
+
+    assert.throws(function() {
+      tracker.setGrouping('median');
+    }, /Unknown grouping: median/);
+    [-0.1, 1.5, '0.3'].forEach(function(threshold) {
+      assert.throws(function() {
+        tracker.setGrouping('nms', threshold);
+      }, /Grouping threshold should be a number between 0 and 1/);
+    });
+    assert.strictEqual(tracker.getGrouping(), 'average');
+    assert.strictEqual(tracker.getGroupingThreshold(), null);
+  });
+
+  it('defaults a missing grouping and threshold', function() {
+    const tracker = new tracking.ObjectTracker(EDGE_CLASSIFIER);
+    tracker.setGrouping('nms', 0.45);
+    tracker.setGrouping(null, null);
+    tracking.trackPixels(pixels, 40, 40, tracker);
+
+    assert.strictEqual(tracker.getGrouping(), 'average');
+    assert.deepStrictEqual(calls[0][8], { method: 'average', threshold: null });
+  });
+});
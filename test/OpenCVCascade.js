@@ -0,0 +1,82 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const tracking = require('../');
+
+/**
+ * Reads an XML fixture.
+ * @param {string} name
+ * @return {string}
+ */
+const readFixture = function(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+};
+
+describe('tracking.OpenCVCascade', function() {
+  // The classifier of both HAAR fixtures, stage by stage.
+  const expected = [
+    20, 20,
+    -0.25, 2,
+    0, 2, 0, 0, 20, 10, -1, 0, 0, 20, 5, 2, 0.5, -0.8, 0.9,
+    1, 2, 4, 2, 6, 6, -1, 4, 2, 3, 3, 2, -0.1, 0.3, -0.4,
+    0.1, 1,
+    0, 2, 0, 0, 10, 20, -1, 5, 0, 5, 20, 2, 0.2, -1, 1
+  ];
+
+  it('converts the HAAR cascades of the old format', function() {
+    const xml = readFixture('haar-old.xml');
+
+    assert.strictEqual(tracking.OpenCVCascade.getFeatureType(xml), 'HAAR');
+    assert.deepStrictEqual(Array.from(tracking.OpenCVCascade.parseHaar(xml)), expected);
+  });
+
+  it('converts the HAAR cascades of the new format', function() {
+    const xml = readFixture('haar-new.xml');
+
+    assert.strictEqual(tracking.OpenCVCascade.getFeatureType(xml), 'HAAR');
+    assert.deepStrictEqual(Array.from(tracking.OpenCVCascade.parseHaar(xml)), expected);
+  });
+
+  it('keeps the tilted flags and the stage thresholds', function() {
+    const data = tracking.OpenCVCascade.parseHaar(readFixture('haar-new.xml'));
+
+    // The tilted flag leads each node, after the stage threshold and size.
+    assert.strictEqual(data[2], -0.25);
+    assert.strictEqual(data[4], 0);
+    assert.strictEqual(data[19], 1);
+    assert.strictEqual(data[34], 0.1);
+  });
+
+  it('converts a cascade usable by ViolaJones', function() {
+    const classifier = tracking.OpenCVCascade.parseHaar(readFixture('haar-old.xml'));
+    const tracker = new tracking.ObjectTracker(classifier);
+
+    assert.ok(Array.isArray(tracking.trackPixels(new Uint8ClampedArray(40 * 40 * 4), 40, 40, tracker)));
+  });
+
+  it('rejects malformed documents', function() {
+    const parseHaar = tracking.OpenCVCascade.parseHaar;
+
+    assert.throws(function() {
+      parseHaar('<opencv_storage><cascade><width>20</cascade></opencv_storage>');
+    }, /unexpected closing tag: cascade/);
+    assert.throws(function() {
+      parseHaar('<opencv_storage><cascade>');
+    }, /unclosed tag: cascade/);
+    assert.throws(function() {
+      parseHaar('<storage></storage>');
+    }, /`opencv_storage` element not found/);
+    assert.throws(function() {
+      parseHaar(readFixture('haar-new.xml').replace('<featureType>HAAR', '<featureType>LBP'));
+    }, /Not a HAAR cascade: LBP features/);
+    assert.throws(function() {
+      parseHaar(readFixture('haar-new.xml').replace('0 -1 2 0.2', '0 -1 3 0.2'));
+    }, /HAAR feature not found: 3/);
+    assert.throws(function() {
+      parseHaar(readFixture('haar-old.xml').replace('4 2 6 6 -1.', '4 2 6 6'));
+    }, /rectangles should hold 5 values/);
+    assert.throws(function() {
+      parseHaar(readFixture('haar-new.xml').replace('0 -1 1 0.5', '1 2 1 0.5 0 -1 0 0.1'));
+    }, /decision stumps/);
+  });
+});
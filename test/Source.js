@@ -0,0 +1,148 @@
+const assert = require('assert');
+const tracking = require('../');
+const dom = require('./helpers/dom');
+const { createRectFrame } = require('./helpers/frames');
+
+describe('tracking.Source', function() {
+  const pixels = createRectFrame(8, 6, { x: 2, y: 1, width: 3, height: 2 }, [255, 0, 255]);
+
+  /**
+   * Fakes an `OffscreenCanvas`, drawing copies the `pixels` of the drawn
+   * source, of the drawn size.
+   */
+  class FakeOffscreenCanvas {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+      this.pixels = new Uint8ClampedArray(width * height * 4);
+      this.context = '2d';
+    }
+
+    getContext(type) {
+      if (type !== this.context) {
+        return null;
+      }
+      const canvas = this;
+      return {
+        drawImage(source, x, y, width, height) {
+          assert.strictEqual(source.pixels.length, width * height * 4);
+          canvas.pixels.set(source.pixels);
+        },
+        getImageData(x, y, width, height) {
+          return { data: canvas.pixels.slice(), width, height };
+        }
+      };
+    }
+  }
+
+  class FakeImageBitmap {
+    constructor(pixels, width, height) {
+      this.pixels = pixels;
+      this.width = width;
+      this.height = height;
+    }
+  }
+
+  class FakeVideoFrame {
+    constructor(pixels, width, height) {
+      this.pixels = pixels;
+      // The coded size is padded, the displayed one is the frame size.
+      this.codedWidth = width + 8;
+      this.codedHeight = height + 8;
+      this.displayWidth = width;
+      this.displayHeight = height;
+    }
+  }
+
+  beforeEach(function() {
+    global.ImageBitmap = FakeImageBitmap;
+    global.OffscreenCanvas = FakeOffscreenCanvas;
+    global.VideoFrame = FakeVideoFrame;
+  });
+
+  afterEach(function() {
+    delete global.ImageBitmap;
+    delete global.OffscreenCanvas;
+    delete global.VideoFrame;
+  });
+
+  it('returns the sources holding their pixels', function() {
+    const frame = { data: pixels, width: 8, height: 6 };
+
+    assert.strictEqual(tracking.Source.isSupported(frame), true);
+    assert.strictEqual(tracking.Source.getPixels(frame), frame);
+  });
+
+  it('extracts the pixels of an ImageBitmap', function() {
+    const bitmap = new FakeImageBitmap(pixels, 8, 6);
+    const frame = tracking.Source.getPixels(bitmap);
+
+    assert.strictEqual(tracking.Source.isImageBitmap(bitmap), true);
+    assert.strictEqual(frame.width, 8);
+    assert.strictEqual(frame.height, 6);
+    assert.deepStrictEqual(frame.data, pixels);
+  });
+
+  it('extracts the pixels of an ImageBitmap on a canvas without OffscreenCanvas', function() {
+    delete global.OffscreenCanvas;
+    const uninstall = dom.install();
+    try {
+      const frame = tracking.Source.getPixels(new FakeImageBitmap(pixels, 8, 6));
+
+      assert.strictEqual(frame.width, 8);
+      assert.strictEqual(frame.height, 6);
+      assert.deepStrictEqual(frame.data, pixels);
+    } finally {
+      uninstall();
+    }
+  });
+
+  it('extracts the pixels of an OffscreenCanvas', function() {
+    const canvas = new FakeOffscreenCanvas(8, 6);
+    canvas.pixels.set(pixels);
+    const frame = tracking.Source.getPixels(canvas);
+
+    assert.strictEqual(tracking.Source.isOffscreenCanvas(canvas), true);
+    assert.strictEqual(frame.width, 8);
+    assert.strictEqual(frame.height, 6);
+    assert.deepStrictEqual(frame.data, pixels);
+  });
+
+  it('rejects an OffscreenCanvas with another context', function() {
+    const canvas = new FakeOffscreenCanvas(8, 6);
+    canvas.context = 'webgl';
+
+    assert.throws(function() {
+      tracking.Source.getPixels(canvas);
+    }, /Canvas 2d context not available/);
+  });
+
+  it('extracts the pixels of a VideoFrame in its display size', function() {
+    const videoFrame = new FakeVideoFrame(pixels, 8, 6);
+    const frame = tracking.Source.getPixels(videoFrame);
+
+    assert.strictEqual(tracking.Source.isVideoFrame(videoFrame), true);
+    assert.strictEqual(frame.width, 8);
+    assert.strictEqual(frame.height, 6);
+    assert.deepStrictEqual(frame.data, pixels);
+  });
+
+  it('tracks a VideoFrame', function() {
+    const large = createRectFrame(64, 48, { x: 10, y: 8, width: 30, height: 30 }, [255, 0, 255]);
+    const videoFrame = new FakeVideoFrame(large, 64, 48);
+
+    return tracking.detect(videoFrame, new tracking.ColorTracker('magenta')).then(function(event) {
+      assert.strictEqual(event.data.length, 1);
+      assert.strictEqual(event.data[0].x, 10);
+    });
+  });
+
+  it('rejects the sources not supported', function() {
+    delete global.VideoFrame;
+
+    assert.strictEqual(tracking.Source.isSupported(new FakeVideoFrame(pixels, 8, 6)), false);
+    assert.throws(function() {
+      tracking.Source.getPixels(new FakeVideoFrame(pixels, 8, 6));
+    }, /Source not supported/);
+  });
+});
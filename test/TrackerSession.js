@@ -0,0 +1,117 @@
+const assert = require('assert');
+const tracking = require('../');
+const { createRectFrame } = require('./helpers/frames');
+
+describe('tracking.TrackerSession', function() {
+  const pixels = createRectFrame(64, 48, { x: 10, y: 8, width: 30, height: 30 }, [255, 0, 255]);
+
+  /**
+   * Records the events of a task tracking the given frame times.
+   * @param {Array.<number>} times The frame times, in seconds.
+   * @param {tracking.ColorTracker} tracker
+   * @return {tracking.TrackerSession}
+   */
+  const record = function(times, tracker) {
+    const task = new tracking.TrackerTask(tracker).run();
+    const session = new tracking.TrackerSession().record(task);
+    times.forEach(function(time) {
+      task.setFrameTime(time);
+      tracker.track(pixels, 64, 48);
+    });
+    session.stop();
+    task.stop();
+    return session;
+  };
+
+  it('records the frame times', function() {
+    const session = record([10, 10.04, 10.1], new tracking.ColorTracker('magenta'));
+
+    assert.deepStrictEqual(session.events.map(function(entry) {
+      return Math.round(entry.time);
+    }), [0, 40, 100]);
+    assert.strictEqual(session.events[1].event.time, 10.04);
+  });
+
+  it('serializes the typed arrays of the events', function() {
+    const tracker = new tracking.ColorTracker('magenta');
+    tracker.setEmitMasks(true);
+    const session = record([0], tracker);
+    const json = JSON.stringify(session);
+    const restored = tracking.TrackerSession.fromJSON(json);
+
+    const mask = restored.events[0].event.masks.magenta;
+    assert.ok(mask instanceof Uint8Array);
+    assert.strictEqual(mask.length, 64 * 48);
+    assert.deepStrictEqual(mask, session.events[0].event.masks.magenta);
+    assert.ok(json.length < 64 * 48 * 2, 'masks are encoded compactly');
+  });
+
+  it('reads the sessions of version 1', function() {
+    const session = tracking.TrackerSession.fromJSON({
+      version: 1,
+      tracker: null,
+      events: [{ time: 0, event: { data: [] } }]
+    });
+
+    assert.strictEqual(session.events.length, 1);
+  });
+
+  it('replays the events in order at the original pace', function() {
+    const session = record([0, 0.03, 0.06], new tracking.ColorTracker('magenta'));
+    const target = new tracking.EventEmitter();
+    const times = [];
+    const start = Date.now();
+    target.on('track', function(event) {
+      times.push(event.time);
+    });
+
+    return session.replay(target).then(function() {
+      assert.deepStrictEqual(times, [0, 0.03, 0.06]);
+      assert.ok(Date.now() - start >= 50, 'keeps the pace');
+    });
+  });
+
+  it('ends the replay of all the events', function() {
+    const session = record([0, 0], new tracking.ColorTracker('magenta'));
+    const target = new tracking.EventEmitter();
+    let count = 0;
+    let ended = 0;
+    target.on('track', function() {
+      count++;
+    });
+    session.on('end', function() {
+      assert.strictEqual(count, 2, 'after the last event');
+      ended++;
+    });
+
+    return session.replay(target, { speed: Infinity }).then(function() {
+      assert.strictEqual(ended, 1);
+    });
+  });
+
+  it('ends the replay of an empty session right away', function() {
+    const session = new tracking.TrackerSession();
+    let ended = 0;
+    session.on('end', function() {
+      ended++;
+    });
+
+    const replayed = session.replay(new tracking.EventEmitter());
+    assert.strictEqual(ended, 1);
+    return replayed;
+  });
+
+  it('stops the replay from a track listener', function() {
+    const session = record([0, 0, 0], new tracking.ColorTracker('magenta'));
+    const target = new tracking.EventEmitter();
+    let count = 0;
+    target.on('track', function() {
+      count++;
+      session.stop();
+    });
+
+    return session.replay(target, { speed: Infinity }).then(function() {
+      assert.strictEqual(count, 1);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const assert = require('assert');
+const tracking = require('../');
+const { createFrame, createRectFrame, EDGE_CLASSIFIER } = require('./helpers/frames');
+
+describe('tracking.TrackerTask', function() {
+  describe('with a scale', function() {
+    const pixels = createRectFrame(64, 48, { x: 10, y: 8, width: 30, height: 30 }, [255, 0, 255]);
+    let tracker;
+    let task;
+
+    beforeEach(function() {
+      const scale = new tracking.Scale();
+      scale.scale = 0.5;
+      tracker = new tracking.ColorTracker('magenta');
+      task = new tracking.TrackerTask(tracker);
+      task.setScale(scale);
+    });
+
+    it('maps the tracker events back into the original size', function() {
+      let before = null;
+      let after = null;
+      let reemitted = null;
+      tracker.on('track', function(event) {
+        before = event;
+      });
+      task.on('track', function(event) {
+        reemitted = event;
+      });
+      task.run();
+      tracker.on('track', function(event) {
+        after = event;
+      });
+      tracker.track(pixels, 64, 48);
+
+      assert.strictEqual(before, after);
+      assert.strictEqual(after.data[0].x, 20);
+      assert.strictEqual(after.data[0].width, 58);
+      assert.strictEqual(after.data[0].centroid.x, 49);
+      assert.strictEqual(reemitted.data, after.data);
+      assert.strictEqual(reemitted.byColor.magenta[0], reemitted.data[0]);
+
+      task.stop();
+      tracker.track(pixels, 64, 48);
+      assert.strictEqual(after.data[0].x, 10);
+    });
+
+    it('re-emits the enter and exit events in the original size', function() {
+      let entered = null;
+      let exited = null;
+      let original = null;
+      tracker.setAssociation({ gracePeriod: 0 });
+      tracker.on('enter', function(blob) {
+        original = blob;
+      });
+      task.on('enter', function(blob) {
+        entered = blob;
+      });
+      task.on('exit', function(blob) {
+        exited = blob;
+      });
+      task.run();
+      tracker.track(pixels, 64, 48);
+      tracker.track(new Uint8ClampedArray(64 * 48 * 4), 64, 48);
+
+      assert.strictEqual(original.x, 20);
+      assert.strictEqual(entered, original);
+      assert.strictEqual(exited.id, original.id);
+      assert.strictEqual(exited.x, 20);
+
+      task.stop();
+      assert.strictEqual(tracker.listeners('enter').length, 1);
+      assert.strictEqual(tracker.listeners('exit').length, 0);
+    });
+
+    it('maps the ObjectTracker events back into the original size', function() {
+      const edge = createFrame(80, 80, function(x, y) {
+        return x >= 30 && x < 50 && y >= 30 && y < 40 ? [255, 255, 255] : [0, 0, 0];
+      });
+      const objectTracker = new tracking.ObjectTracker(EDGE_CLASSIFIER);
+      objectTracker.setEdgesDensity(0);
+      const expected = tracking.trackPixels(edge, 80, 80, objectTracker)[0];
+
+      const objectTask = new tracking.TrackerTask(objectTracker);
+      objectTask.setScale(task.getScale());
+      objectTask.run();
+      const result = tracking.trackPixels(edge, 80, 80, objectTracker)[0];
+      objectTask.stop();
+
+      assert.strictEqual(result.x, expected.x * 2);
+      assert.strictEqual(result.width, expected.width * 2);
+    });
+
+    it('keeps the internal state out of the tracker options', function() {
+      tracker.setAssociation(true);
+      tracker.setIllumination('grayWorld');
+      tracker.track(pixels, 64, 48);
+
+      const options = tracker.getOptions();
+      ['association_', 'buffers_', 'normalized_'].forEach(function(key) {
+        assert.ok(!(key in options), key);
+      });
+    });
+
+    it('keeps the tracker events without fps', function() {
+      let original = null;
+      task.setFrameRate(new tracking.FrameRate());
+      task.run();
+      tracker.on('track', function(event) {
+        original = event;
+      });
+      tracker.track(pixels, 64, 48);
+
+      assert.strictEqual(original.fps, undefined);
+    });
+  });
+
+  describe('with color events', function() {
+    const pixels = createFrame(96, 48, function(x, y) {
+      if (y < 8 || y >= 38) {
+        return [0, 0, 0];
+      }
+      if (x >= 4 && x < 34) {
+        return [255, 0, 255];
+      }
+      return x >= 50 && x < 80 ? [255, 255, 0] : [0, 0, 0];
+    });
+
+    it('re-emits the track events of each color listened to', function() {
+      const tracker = new tracking.ColorTracker(['magenta', 'yellow']);
+      tracker.setEmitColorEvents(true);
+      const task = new tracking.TrackerTask(tracker);
+      task.setFrameTime(1.5);
+      let magenta = [];
+      let yellow = [];
+      task.on('track:magenta', function(event) {
+        magenta.push(event);
+      });
+      task.run();
+      task.on('track:yellow', function(event) {
+        yellow.push(event);
+      });
+      task.on('track:yellow', function() {});
+      tracker.track(pixels, 96, 48);
+
+      assert.strictEqual(magenta.length, 1);
+      assert.strictEqual(magenta[0].data[0].x, 4);
+      assert.strictEqual(magenta[0].time, 1.5);
+      assert.strictEqual(yellow.length, 1);
+      assert.strictEqual(yellow[0].data[0].x, 50);
+
+      task.stop();
+      tracker.track(pixels, 96, 48);
+      assert.strictEqual(magenta.length, 1);
+      assert.strictEqual(tracker.listeners('track:magenta').length, 0);
+      assert.strictEqual(tracker.listeners('track:yellow').length, 0);
+    });
+  });
+});
+
+describe('tracking.Scale', function() {
+  it('keeps the deprecated global scaling', function() {
+    tracking.Scale.adjustScale(640, 480);
+    assert.strictEqual(tracking.Scale.scale, 0.4);
+    tracking.Scale.scale = 1;
+  });
+
+  it('rescales a single result', function() {
+    const scale = new tracking.Scale();
+    scale.scale = 0.5;
+
+    assert.deepStrictEqual(scale.rescale({ x: 1, y: 2, width: 3, height: 4 }), { x: 2, y: 4, width: 6, height: 8 });
+    assert.strictEqual(scale.rescale(null), null);
+  });
+
+  it('transforms the geometry of the results with an offset', function() {
+    const results = tracking.Scale.transform([{
+      x: 1,
+      y: 2,
+      width: 3,
+      height: 4,
+      area: 10,
+      centroid: { x: 2, y: 3 },
+      ellipse: { x: 2, y: 3, majorAxis: 4, minorAxis: 2, angle: 0.5 },
+      contour: [{ x: 1, y: 2 }, { x: 3, y: 5 }],
+      hull: [{ x: 1, y: 2 }]
+    }], 2, 10, -1);
+
+    assert.deepStrictEqual(results, [{
+      x: 12,
+      y: 3,
+      width: 6,
+      height: 8,
+      area: 40,
+      centroid: { x: 14, y: 5 },
+      ellipse: { x: 14, y: 5, majorAxis: 8, minorAxis: 4, angle: 0.5 },
+      contour: [{ x: 12, y: 3 }, { x: 16, y: 9 }],
+      hull: [{ x: 12, y: 3 }]
+    }]);
+  });
+});
@@ -0,0 +1,84 @@
+const assert = require('assert');
+const tracking = require('../');
+const { createRectFrame } = require('./helpers/frames');
+
+/**
+ * Waits for the next event of an emitter.
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @return {Promise}
+ */
+const nextEvent = function(emitter, event) {
+  return new Promise(function(resolve) {
+    emitter.once(event, resolve);
+  });
+};
+
+describe('tracking.TrackerWorker', function() {
+  this.timeout(10000);
+
+  let worker = null;
+
+  afterEach(function() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  });
+
+  it('tracks frames in worker_threads and re-emits the track events', function() {
+    const tracker = new tracking.ColorTracker('magenta');
+    worker = new tracking.TrackerWorker(tracker);
+    const tracked = nextEvent(tracker, 'track');
+
+    assert.strictEqual(worker.track(createRectFrame(64, 48, { x: 10, y: 8, width: 30, height: 30 }, [255, 0, 255]),
+      64, 48), true);
+    assert.strictEqual(worker.isBusy(), true);
+    assert.strictEqual(worker.track(new Uint8ClampedArray(64 * 48 * 4), 64, 48), false, 'drops busy frames');
+
+    return tracked.then(function(event) {
+      assert.strictEqual(event.data.length, 1);
+      assert.strictEqual(event.data[0].x, 10);
+      assert.strictEqual(event.byColor.magenta.length, 1);
+    });
+  });
+
+  it('associates the blobs on the main side', function() {
+    const tracker = new tracking.ColorTracker('magenta');
+    tracker.setAssociation(true);
+    worker = new tracking.TrackerWorker(tracker);
+    const entered = nextEvent(tracker, 'enter');
+    const tracked = nextEvent(tracker, 'track');
+
+    worker.track(createRectFrame(64, 48, { x: 10, y: 8, width: 30, height: 30 }, [255, 0, 255]), 64, 48);
+    return Promise.all([tracked, entered]).then(function(events) {
+      assert.strictEqual(typeof events[0].data[0].id, 'number');
+      assert.strictEqual(events[1].id, events[0].data[0].id);
+    });
+  });
+
+  it('emits an error and stops tracking when the worker fails', function() {
+    worker = new tracking.TrackerWorker(new tracking.ColorTracker('magenta'));
+    const failed = nextEvent(worker, 'error');
+
+    worker.track(new Uint8ClampedArray(64 * 48 * 4), 64, 48);
+    worker.worker_.emit('error', new Error('Worker crashed'));
+    return failed.then(function(err) {
+      assert.strictEqual(err.message, 'Worker crashed');
+      assert.strictEqual(worker.isBusy(), false);
+      assert.strictEqual(worker.isTerminated(), true);
+      assert.strictEqual(worker.track(new Uint8ClampedArray(64 * 48 * 4), 64, 48), false);
+    });
+  });
+
+  it('emits an error when the tracker is not registered in the worker', function() {
+    class MainTracker extends tracking.Tracker {}
+    tracking.TrackerWorker.registerTracker('MainTracker', MainTracker);
+    worker = new tracking.TrackerWorker(new MainTracker());
+
+    return nextEvent(worker, 'error').then(function(err) {
+      assert.ok(/"MainTracker" not registered in the worker/.test(err.message), err.message);
+      assert.strictEqual(worker.isTerminated(), false);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const assert = require('assert');
+const tracking = require('../');
+const { EDGE_CLASSIFIER } = require('./helpers/frames');
+
+describe('tracking.ViolaJones', function() {
+  // Three sub-windows of one object, the rightmost one best scored, and a
+  // lone sub-window elsewhere.
+  const rects = [
+    { x: 0, y: 0, width: 10, height: 10, score: 1 },
+    { x: 2, y: 0, width: 10, height: 10, score: 1 },
+    { x: 4, y: 0, width: 10, height: 10, score: 4 },
+    { x: 40, y: 40, width: 10, height: 10, score: 0.5 }
+  ];
+
+  describe('groupRectangles', function() {
+    it('averages the overlapping sub-windows and keeps their best score', function() {
+      assert.deepStrictEqual(tracking.ViolaJones.groupRectangles(rects), [
+        { total: 3, x: 2, y: 0, width: 10, height: 10, score: 4 },
+        { total: 1, x: 40, y: 40, width: 10, height: 10, score: 0.5 }
+      ]);
+    });
+
+    it('merges the sub-windows overlapping by the threshold', function() {
+      const apart = [
+        { x: 0, y: 0, width: 10, height: 10, score: 1 },
+        { x: 6, y: 0, width: 10, height: 10, score: 2 }
+      ];
+
+      assert.strictEqual(tracking.ViolaJones.groupRectangles(apart).length, 2);
+      assert.deepStrictEqual(tracking.ViolaJones.groupRectangles(apart, { method: 'average', threshold: 0.4 }), [
+        { total: 2, x: 3, y: 0, width: 10, height: 10, score: 2 }
+      ]);
+    });
+
+    it('keeps the best scored sub-window of the suppressed ones', function() {
+      assert.deepStrictEqual(tracking.ViolaJones.groupRectangles(rects, { method: 'nms' }), [
+        { total: 3, x: 4, y: 0, width: 10, height: 10, score: 4 },
+        { total: 1, x: 40, y: 40, width: 10, height: 10, score: 0.5 }
+      ]);
+    });
+
+    it('suppresses the sub-windows above the IoU threshold', function() {
+      // The first sub-window overlaps the best one by an IoU of 0.43.
+      assert.deepStrictEqual(tracking.ViolaJones.groupRectangles(rects, { method: 'nms', threshold: 0.5 }), [
+        { total: 2, x: 4, y: 0, width: 10, height: 10, score: 4 },
+        { total: 1, x: 0, y: 0, width: 10, height: 10, score: 1 },
+        { total: 1, x: 40, y: 40, width: 10, height: 10, score: 0.5 }
+      ]);
+    });
+
+    it('averages the suppressed sub-windows weighted by their scores', function() {
+      assert.deepStrictEqual(tracking.ViolaJones.groupRectangles(rects, { method: 'weighted' }), [
+        { total: 3, x: 3, y: 0, width: 10, height: 10, score: 4 },
+        { total: 1, x: 40, y: 40, width: 10, height: 10, score: 0.5 }
+      ]);
+    });
+
+    it('weights the sub-windows evenly without positive scores', function() {
+      const unscored = rects.slice(0, 3).map(function(rect) {
+        return Object.assign({}, rect, { score: 0 });
+      });
+
+      assert.deepStrictEqual(tracking.ViolaJones.groupRectangles(unscored, { method: 'weighted' }), [
+        { total: 3, x: 2, y: 0, width: 10, height: 10, score: 0 }
+      ]);
+    });
+
+    it('rejects unknown groupings', function() {
+      assert.throws(function() {
+        tracking.ViolaJones.groupRectangles(rects, { method: 'median' });
+      }, /Unknown grouping: median/);
+    });
+  });
+
+  describe('with an ObjectTracker', function() {
+    const detect = tracking.ViolaJones.detect;
+
+    beforeEach(function() {
+      tracking.ViolaJones.detect = function() {
+        return [
+          { total: 1, x: 0, y: 0, width: 20, height: 20, score: 1 },
+          { total: 2, x: 20, y: 0, width: 20, height: 20, score: 2 },
+          { total: 3, x: 40, y: 0, width: 20, height: 20, score: 3 }
+        ];
+      };
+    });
+
+    afterEach(function() {
+      tracking.ViolaJones.detect = detect;
+    });
+
+    it('keeps the detections with more neighbors than minNeighbors', function() {
+      const tracker = new tracking.ObjectTracker(EDGE_CLASSIFIER);
+      const pixels = new Uint8ClampedArray(80 * 40 * 4);
+
+      assert.strictEqual(tracking.trackPixels(pixels, 80, 40, tracker).length, 3);
+
+      tracker.setMinNeighbors(1);
+      const results = tracking.trackPixels(pixels, 80, 40, tracker);
+      assert.deepStrictEqual(results.map(function(result) {
+        return [result.total, result.score];
+      }), [[2, 2], [3, 3]]);
+
+      tracker.setMinNeighbors(3);
+      assert.strictEqual(tracking.trackPixels(pixels, 80, 40, tracker).length, 0);
+    });
+  });
+});
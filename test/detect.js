@@ -0,0 +1,54 @@
+const assert = require('assert');
+const tracking = require('../');
+const dom = require('./helpers/dom');
+const { createRectFrame } = require('./helpers/frames');
+
+describe('tracking.detect', function() {
+  const pixels = createRectFrame(64, 48, { x: 10, y: 8, width: 30, height: 30 }, [255, 0, 255]);
+
+  it('resolves with the first track event of a frame source', function() {
+    const frame = { data: pixels, width: 64, height: 48 };
+    return tracking.detect(frame, new tracking.ColorTracker('magenta')).then(function(event) {
+      assert.strictEqual(event.data.length, 1);
+    });
+  });
+
+  it('rejects selectors outside of browsers', function() {
+    return tracking.detect('#video', new tracking.ColorTracker('magenta')).then(function() {
+      assert.fail('Expected a rejection');
+    }, function(err) {
+      assert.ok(/only supported in browsers/.test(err.message), err.message);
+    });
+  });
+
+  describe('with images', function() {
+    let uninstall;
+
+    beforeEach(function() {
+      uninstall = dom.install();
+    });
+
+    afterEach(function() {
+      uninstall();
+    });
+
+    it('resolves once the image is loaded', function() {
+      const img = dom.addImage('magenta.png', pixels, 64, 48);
+      return tracking.detect(img, new tracking.ColorTracker('magenta')).then(function(event) {
+        assert.strictEqual(event.data.length, 1);
+        assert.strictEqual(event.data[0].x, 10);
+      });
+    });
+
+    it('rejects when the image fails to load', function() {
+      const img = dom.createImage('broken.png', 64, 48);
+      const tracker = new tracking.ColorTracker('magenta');
+      return tracking.detect(img, tracker).then(function() {
+        assert.fail('Expected a rejection');
+      }, function(err) {
+        assert.ok(/Image failed to load: broken.png/.test(err.message), err.message);
+        assert.strictEqual(tracker.listeners('track').length, 0);
+      });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Minimal fakes of the browser globals used by `tracking.track`, so the dom
+ * code paths can be tested in Node.js. Drawing copies the `pixels` of the
+ * drawn element, nearest-neighbor scaled, into the canvas.
+ */
+
+/**
+ * Holds the images that load successfully, by `src`.
+ * @type {Object.<string, object>}
+ */
+const images = {};
+
+class FakeCanvas {
+  constructor() {
+    this.nodeType = 1;
+    this.nodeName = 'CANVAS';
+    this.width = 300;
+    this.height = 150;
+    this.reads = [];
+  }
+
+  getContext() {
+    const canvas = this;
+    return {
+      drawImage(element, x, y, width, height) {
+        canvas.pixels = new Uint8ClampedArray(canvas.width * canvas.height * 4);
+        const source = element.pixels;
+        const sourceWidth = element.videoWidth || element.width;
+        const sourceHeight = element.videoHeight || element.height;
+        for (let i = 0; i < height; i++) {
+          for (let j = 0; j < width; j++) {
+            const from = (((i * sourceHeight / height) | 0) * sourceWidth + ((j * sourceWidth / width) | 0)) * 4;
+            const to = ((y + i) * canvas.width + x + j) * 4;
+            for (let c = 0; c < 4; c++) {
+              canvas.pixels[to + c] = source[from + c];
+            }
+          }
+        }
+      },
+      getImageData(x, y, width, height) {
+        canvas.reads.push({ x, y, width, height });
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < height; i++) {
+          const from = ((y + i) * canvas.width + x) * 4;
+          data.set(canvas.pixels.subarray(from, from + width * 4), i * width * 4);
+        }
+        return { data, width, height };
+      }
+    };
+  }
+}
+
+class FakeImage {
+  constructor() {
+    this.nodeType = 1;
+    this.nodeName = 'IMG';
+  }
+
+  set src(src) {
+    this.src_ = src;
+    setTimeout(() => {
+      const image = images[src];
+      if (image) {
+        Object.assign(this, image);
+        this.onload();
+      } else {
+        this.onerror(new Error('Not found'));
+      }
+    });
+  }
+
+  get src() {
+    return this.src_;
+  }
+}
+
+/**
+ * Creates an image element, without loading it.
+ * @param {string} src
+ * @param {number} width
+ * @param {number} height
+ * @return {FakeImage}
+ */
+exports.createImage = function(src, width, height) {
+  const img = new FakeImage();
+  img.src_ = src;
+  img.width = width;
+  img.height = height;
+  return img;
+};
+
+/**
+ * Registers an image that loads successfully.
+ * @param {string} src
+ * @param {Uint8ClampedArray} pixels
+ * @param {number} width
+ * @param {number} height
+ * @return {FakeImage} An image element with that `src`.
+ */
+exports.addImage = function(src, pixels, width, height) {
+  images[src] = { pixels, width, height };
+  return exports.createImage(src, width, height);
+};
+
+/**
+ * Installs the fake `window` and `document` globals.
+ * @return {function} Uninstalls them.
+ */
+exports.install = function() {
+  global.document = {
+    createElement(name) {
+      if (name !== 'canvas') {
+        throw new Error('Element not faked: ' + name);
+      }
+      return new FakeCanvas();
+    }
+  };
+  global.window = {
+    Image: FakeImage,
+    requestAnimationFrame(fn) {
+      return setTimeout(fn, 1);
+    },
+    cancelAnimationFrame(id) {
+      clearTimeout(id);
+    }
+  };
+  return function() {
+    delete global.document;
+    delete global.window;
+  };
+};
+
+exports.FakeCanvas = FakeCanvas;
+
+/**
+ * Creates a paused video element showing the same frame at all times,
+ * seeking asynchronously.
+ * @param {Uint8ClampedArray} pixels The frame pixels.
+ * @param {number} width The frame width.
+ * @param {number} height The frame height.
+ * @param {number} duration The video duration, `Infinity` for live videos.
+ * @return {object}
+ */
+exports.createVideo = function(pixels, width, height, duration) {
+  const listeners = {};
+  let currentTime = 0;
+  return {
+    nodeType: 1,
+    nodeName: 'VIDEO',
+    HAVE_METADATA: 1,
+    HAVE_CURRENT_DATA: 2,
+    HAVE_ENOUGH_DATA: 4,
+    readyState: 4,
+    pixels,
+    videoWidth: width,
+    videoHeight: height,
+    duration,
+    seeks: [],
+    get currentTime() {
+      return currentTime;
+    },
+    set currentTime(time) {
+      currentTime = time;
+      this.seeks.push(time);
+      setTimeout(() => {
+        (listeners.seeked || []).slice().forEach(function(listener) {
+          listener();
+        });
+      });
+    },
+    pause() {},
+    addEventListener(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+    },
+    removeEventListener(event, listener) {
+      const i = (listeners[event] || []).indexOf(listener);
+      if (i !== -1) {
+        listeners[event].splice(i, 1);
+      }
+    }
+  };
+};
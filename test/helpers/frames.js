@@ -0,0 +1,48 @@
+/**
+ * Creates a synthetic RGBA frame.
+ * @param {number} width The frame width.
+ * @param {number} height The frame height.
+ * @param {function} fill Returns the `[r, g, b]` color of the pixel at
+ *     `(x, y)`.
+ * @return {Uint8ClampedArray}
+ */
+exports.createFrame = function(width, height, fill) {
+  let pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = fill(x, y);
+      const w = (y * width + x) * 4;
+      pixels[w] = color[0];
+      pixels[w + 1] = color[1];
+      pixels[w + 2] = color[2];
+      pixels[w + 3] = 255;
+    }
+  }
+  return pixels;
+};
+
+/**
+ * Creates a black frame holding a colored rectangle.
+ * @param {number} width The frame width.
+ * @param {number} height The frame height.
+ * @param {object} rect The `{x, y, width, height}` rectangle.
+ * @param {Array.<number>} color The `[r, g, b]` rectangle color.
+ * @return {Uint8ClampedArray}
+ */
+exports.createRectFrame = function(width, height, rect, color) {
+  return exports.createFrame(width, height, function(x, y) {
+    const inside = x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+    return inside ? color : [0, 0, 0];
+  });
+};
+
+/**
+ * Holds a one stage HAAR classifier of 20x20 pixels, detecting a bright top
+ * half over a dark bottom half.
+ * @type {Float64Array}
+ */
+exports.EDGE_CLASSIFIER = new Float64Array([
+  20, 20,
+  0, 1,
+  0, 2, 0, 0, 20, 10, -1, 0, 10, 20, 10, 1, -0.4, 1, -1
+]);
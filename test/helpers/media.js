@@ -0,0 +1,82 @@
+/**
+ * Fake `navigator.mediaDevices`, to be set as `tracking.Camera.mediaDevices`
+ * so cameras can be captured in Node.js.
+ */
+
+/**
+ * Creates a fake stream, whose tracks record whether they are stopped.
+ * @param {object} constraints The `getUserMedia` constraints.
+ * @return {object}
+ */
+const createStream = function(constraints) {
+  const track = {
+    stopped: false,
+    stop() {
+      this.stopped = true;
+    }
+  };
+  return {
+    constraints,
+    track,
+    getTracks() {
+      return [track];
+    }
+  };
+};
+
+/**
+ * Creates fake media devices holding the given cameras. Capturing a
+ * `deviceId` that is not one of them fails with a `NotFoundError`, and all
+ * the captures fail with a `NotAllowedError` once `deny` is set.
+ * @param {Array.<string>} deviceIds The `deviceId` of the cameras.
+ * @return {object}
+ */
+exports.createMediaDevices = function(deviceIds) {
+  const mediaDevices = {
+    deny: false,
+    streams: [],
+    enumerateDevices() {
+      const devices = deviceIds.map(function(deviceId) {
+        return { kind: 'videoinput', deviceId, label: 'Camera ' + deviceId };
+      });
+      devices.push({ kind: 'audioinput', deviceId: 'microphone', label: 'Microphone' });
+      return Promise.resolve(devices);
+    },
+    getUserMedia(constraints) {
+      const error = function(name) {
+        const err = new Error(name);
+        err.name = name;
+        return Promise.reject(err);
+      };
+      if (mediaDevices.deny) {
+        return error('NotAllowedError');
+      }
+      const deviceId = constraints.video.deviceId;
+      if (deviceId && deviceIds.indexOf(deviceId.exact) === -1) {
+        return error('NotFoundError');
+      }
+      const stream = createStream(constraints);
+      mediaDevices.streams.push(stream);
+      return Promise.resolve(stream);
+    }
+  };
+  return mediaDevices;
+};
+
+/**
+ * Creates a fake video element, never ready to be drawn.
+ * @return {object}
+ */
+exports.createVideo = function() {
+  return {
+    nodeType: 1,
+    nodeName: 'VIDEO',
+    offsetWidth: 64,
+    offsetHeight: 48,
+    readyState: 0,
+    HAVE_ENOUGH_DATA: 4,
+    srcObject: null,
+    addEventListener() {},
+    removeEventListener() {}
+  };
+};
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const tracking = require('../');
+const dom = require('./helpers/dom');
+const { createRectFrame } = require('./helpers/frames');
+
+describe('tracking.track with the offline option', function() {
+  const pixels = createRectFrame(64, 48, { x: 10, y: 8, width: 30, height: 30 }, [255, 0, 255]);
+  let uninstall;
+
+  beforeEach(function() {
+    uninstall = dom.install();
+  });
+
+  afterEach(function() {
+    uninstall();
+  });
+
+  /**
+   * Tracks a video offline until its `complete` or `error` event.
+   * @param {object} video
+   * @param {tracking.Tracker} tracker
+   * @param {object} options
+   * @return {Promise.<{progress: Array.<object>, complete: object}>}
+   */
+  const trackOffline = function(video, tracker, options) {
+    return new Promise(function(resolve, reject) {
+      const task = tracking.track(video, tracker, Object.assign({ offline: true }, options));
+      let progress = [];
+      task.on('progress', function(event) {
+        progress.push(event);
+      });
+      task.on('complete', function(event) {
+        resolve({ progress, complete: event });
+      });
+      task.on('error', reject);
+    });
+  };
+
+  it('tracks every frame and completes with a progress of 1', function() {
+    const video = dom.createVideo(pixels, 64, 48, 0.5);
+    return trackOffline(video, new tracking.ColorTracker('magenta'), { interval: 0.125 }).then(function(result) {
+      assert.deepStrictEqual(result.complete.timeline.map(function(entry) {
+        return entry.time;
+      }), [0, 0.125, 0.25, 0.375]);
+      assert.deepStrictEqual(result.progress.map(function(event) {
+        return event.progress;
+      }), [0.25, 0.5, 0.75, 1]);
+      assert.strictEqual(result.complete.timeline[0].data[0].x, 10);
+    });
+  });
+
+  it('maps the timeline and the tracker events into the video size', function() {
+    const large = createRectFrame(128, 96, { x: 20, y: 16, width: 60, height: 60 }, [255, 0, 255]);
+    const video = dom.createVideo(large, 128, 96, 0.1);
+    const tracker = new tracking.ColorTracker('magenta');
+    let original = null;
+    tracker.on('track', function(event) {
+      original = event.data;
+    });
+
+    return trackOffline(video, tracker, { scaled: true, pixelBudget: 3072 }).then(function(result) {
+      const data = result.complete.timeline[0].data;
+      assert.strictEqual(data.length, 1);
+      assert.strictEqual(data[0].x, 20);
+      assert.strictEqual(original[0].x, 20);
+      assert.strictEqual(tracker.getScale(), null);
+    });
+  });
+
+  it('requires an end for live videos', function() {
+    const video = dom.createVideo(pixels, 64, 48, Infinity);
+    return trackOffline(video, new tracking.ColorTracker('magenta'), {}).then(function() {
+      assert.fail('Expected an error');
+    }, function(err) {
+      assert.ok(/duration not finite/.test(err.message), err.message);
+    });
+  });
+
+  it('tracks live videos until the end option', function() {
+    const video = dom.createVideo(pixels, 64, 48, Infinity);
+    return trackOffline(video, new tracking.ColorTracker('magenta'), { end: 0.1 }).then(function(result) {
+      assert.strictEqual(result.complete.timeline.length, 3);
+      assert.strictEqual(result.progress[2].progress, 1);
+    });
+  });
+});
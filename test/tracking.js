@@ -0,0 +1,215 @@
+const assert = require('assert');
+const tracking = require('../');
+const { createFrame, createRectFrame, EDGE_CLASSIFIER } = require('./helpers/frames');
+
+describe('tracking.trackPixels', function() {
+  it('does not define browser globals', function() {
+    assert.strictEqual(typeof window, 'undefined');
+    assert.strictEqual(typeof navigator, 'undefined');
+  });
+
+  it('tracks colors with a ColorTracker', function() {
+    const pixels = createRectFrame(64, 48, { x: 10, y: 8, width: 30, height: 30 }, [255, 0, 255]);
+    const results = tracking.trackPixels(pixels, 64, 48, new tracking.ColorTracker('magenta'));
+
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].color, 'magenta');
+    assert.strictEqual(results[0].x, 10);
+    assert.strictEqual(results[0].y, 8);
+    assert.strictEqual(results[0].area, 900);
+  });
+
+  it('tracks objects with an ObjectTracker', function() {
+    const pixels = createFrame(80, 80, function(x, y) {
+      return x >= 30 && x < 50 && y >= 30 && y < 40 ? [255, 255, 255] : [0, 0, 0];
+    });
+    const tracker = new tracking.ObjectTracker(EDGE_CLASSIFIER);
+    tracker.setEdgesDensity(0);
+    const results = tracking.trackPixels(pixels, 80, 80, tracker);
+
+    assert.strictEqual(results.length, 1);
+    const centerX = results[0].x + results[0].width / 2;
+    const centerY = results[0].y + results[0].height / 2;
+    assert.ok(Math.abs(centerX - 40) <= 3, 'horizontal center ' + centerX);
+    assert.ok(Math.abs(centerY - 40) <= 3, 'vertical center ' + centerY);
+    assert.strictEqual(results[0].classifier, null);
+  });
+
+  it('tracks with a custom Tracker', function() {
+    class BrightTracker extends tracking.Tracker {
+      track(pixels, width, height) {
+        let data = [];
+        for (let i = 0; i < width * height; i++) {
+          if (pixels[i * 4] > 128) {
+            data.push({ x: i % width, y: (i / width) | 0 });
+          }
+        }
+        this.emit('track', { data });
+      }
+    }
+    const pixels = createRectFrame(4, 4, { x: 1, y: 2, width: 1, height: 1 }, [255, 255, 255]);
+
+    assert.deepStrictEqual(tracking.trackPixels(pixels, 4, 4, new BrightTracker()), [{ x: 1, y: 2 }]);
+  });
+
+  it('accepts an ArrayBuffer and a Buffer', function() {
+    const pixels = createRectFrame(64, 48, { x: 10, y: 8, width: 30, height: 30 }, [255, 0, 255]);
+    const tracker = new tracking.ColorTracker('magenta');
+
+    assert.strictEqual(tracking.trackPixels(pixels.buffer, 64, 48, tracker).length, 1);
+    assert.strictEqual(tracking.trackPixels(Buffer.from(pixels.buffer), 64, 48, tracker).length, 1);
+  });
+
+  it('returns an empty array when the tracker emits nothing', function() {
+    assert.deepStrictEqual(tracking.trackPixels(new Uint8ClampedArray(16), 2, 2, new tracking.Tracker()), []);
+  });
+
+  it('removes its listener from the tracker', function() {
+    const tracker = new tracking.ColorTracker('magenta');
+    tracking.trackPixels(new Uint8ClampedArray(16), 2, 2, tracker);
+
+    assert.strictEqual((tracker.listeners('track') || []).length, 0);
+  });
+
+  it('rejects missing pixels, trackers and short buffers', function() {
+    const tracker = new tracking.ColorTracker('magenta');
+
+    assert.throws(function() {
+      tracking.trackPixels(null, 2, 2, tracker);
+    }, /Pixels not specified/);
+    assert.throws(function() {
+      tracking.trackPixels(new Uint8ClampedArray(16), 2, 2);
+    }, /Tracker not specified/);
+    assert.throws(function() {
+      tracking.trackPixels(new Uint8ClampedArray(8), 2, 2, tracker);
+    }, /does not match/);
+  });
+});
+
+describe('tracking.track with regions of interest', function() {
+  const dom = require('./helpers/dom');
+  let uninstall;
+  let canvas;
+
+  beforeEach(function() {
+    uninstall = dom.install();
+    canvas = new dom.FakeCanvas();
+    canvas.width = 100;
+    canvas.height = 70;
+    canvas.pixels = createFrame(100, 70, function(x, y) {
+      return (x >= 4 && x < 34 && y >= 4 && y < 34) || (x >= 60 && x < 90 && y >= 34 && y < 64) ?
+        [255, 0, 255] : [0, 0, 0];
+    });
+  });
+
+  afterEach(function() {
+    uninstall();
+  });
+
+  it('only reads the bounding box of the regions', function() {
+    const tracker = new tracking.ColorTracker('magenta');
+    let results = null;
+    tracker.on('track', function(event) {
+      results = event.data;
+    });
+    tracking.track(canvas, tracker, { roi: [{ x: 54, y: 28, width: 40, height: 40 }] });
+
+    assert.deepStrictEqual(canvas.reads, [{ x: 54, y: 28, width: 40, height: 40 }]);
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].x, 60);
+    assert.strictEqual(results[0].y, 34);
+  });
+
+  it('does not keep the regions on the tracker', function() {
+    const tracker = new tracking.ColorTracker('magenta');
+    let results = null;
+    tracker.on('track', function(event) {
+      results = event.data;
+    });
+    tracking.track(canvas, tracker, { roi: { x: 54, y: 28, width: 40, height: 40 } });
+    assert.strictEqual(tracker.getRegionOfInterest(), null);
+
+    tracking.track(canvas, tracker);
+    assert.deepStrictEqual(canvas.reads[1], { x: 0, y: 0, width: 100, height: 70 });
+    assert.strictEqual(results.length, 2);
+  });
+
+  it('tracks a blob once across overlapping and touching regions', function() {
+    const pixels = createRectFrame(100, 60, { x: 35, y: 15, width: 30, height: 30 }, [255, 0, 255]);
+    const tracker = new tracking.ColorTracker('magenta');
+    tracker.setEmitMasks(true);
+    let event = null;
+    tracker.on('track', function(e) {
+      event = e;
+    });
+
+    [
+      [{ x: 0, y: 0, width: 60, height: 60 }, { x: 40, y: 0, width: 60, height: 60 }],
+      [{ x: 0, y: 0, width: 50, height: 60 }, { x: 50, y: 0, width: 50, height: 60 }],
+      [{ x: 0, y: 0, width: 50, height: 60 }, [{ x: 50, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 60 }, { x: 50, y: 60 }]]
+    ].forEach(function(roi) {
+      tracker.setRegionOfInterest(roi);
+      tracker.track(pixels, 100, 60);
+
+      assert.strictEqual(event.data.length, 1, JSON.stringify(roi));
+      assert.strictEqual(event.data[0].x, 35);
+      assert.strictEqual(event.data[0].width, 29);
+      assert.strictEqual(event.data[0].area, 900);
+      assert.strictEqual(event.masks.magenta.reduce(function(sum, value) {
+        return sum + value;
+      }, 0), 900);
+    });
+  });
+
+  it('tracks the separate regions apart', function() {
+    const tracker = new tracking.ColorTracker('magenta');
+    tracker.setRegionOfInterest([{ x: 0, y: 0, width: 40, height: 40 }, { x: 56, y: 30, width: 40, height: 40 }]);
+    tracking.track(canvas, tracker);
+
+    assert.deepStrictEqual(canvas.reads, [{ x: 0, y: 0, width: 96, height: 70 }]);
+    assert.deepStrictEqual(tracking.trackPixels(canvas.pixels, 100, 70, tracker).map(function(result) {
+      return [result.x, result.y];
+    }), [[4, 4], [60, 34]]);
+  });
+
+  it('reads the regions of the tracker itself', function() {
+    const tracker = new tracking.ColorTracker('magenta');
+    tracker.setRegionOfInterest({ x: 0, y: 0, width: 40, height: 40 });
+    tracking.track(canvas, tracker);
+
+    assert.deepStrictEqual(canvas.reads, [{ x: 0, y: 0, width: 40, height: 40 }]);
+    assert.strictEqual(tracker.getRegionOfInterest().length, 1);
+  });
+});
+
+describe('tracking.Region', function() {
+  it('groups the overlapping and touching regions', function() {
+    const regions = [
+      { x: 0, y: 0, width: 10, height: 10 },
+      { x: 40, y: 0, width: 10, height: 10 },
+      [{ x: 10, y: 5 }, { x: 20, y: 5 }, { x: 15, y: 20 }],
+      { x: 200, y: 0, width: 10, height: 10 },
+      { x: 45, y: 5, width: 10, height: 10 }
+    ];
+
+    assert.deepStrictEqual(tracking.Region.group(regions, 100, 100), [
+      [regions[0], regions[2]],
+      [regions[1], regions[4]]
+    ]);
+  });
+
+
+  it('masks the pixels inside the regions', function() {
+    const triangle = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 0, y: 4 }];
+    const mask = tracking.Region.createMask([{ x: 3, y: 2, width: 2, height: 5 }, triangle], 6, 4);
+
+    assert.deepStrictEqual(Array.from(mask), [
+      1, 1, 1, 0, 0, 0,
+      1, 1, 0, 0, 0, 0,
+      1, 0, 0, 1, 1, 0,
+      0, 0, 0, 1, 1, 0
+    ]);
+    assert.strictEqual(tracking.Region.createMask([triangle], 6, 4, mask), mask);
+    assert.strictEqual(mask[3 * 6 + 3], 0);
+  });
+});
@@ -25,7 +25,8 @@ module.exports = {
   context: path.resolve(__dirname, './src'),
   devtool: 'source-map',
   entry: {
-    tracking: './tracking.js'
+    tracking: './tracking.js',
+    'tracking-worker': './worker.js'
   },
   output: {
     path: path.resolve(__dirname, './build'),
@@ -33,6 +34,14 @@ module.exports = {
     sourceMapFilename: `[name]${minimize ? '-min' : ''}.js.map`
   },
   plugins,
+  externals: {
+    // Only required in Node.js, see `TrackerWorker`.
+    worker_threads: 'commonjs worker_threads'
+  },
+  node: {
+    // `TrackerSession` falls back to `btoa`/`atob` without a global `Buffer`.
+    Buffer: false
+  },
   module: {
     rules: [
       {